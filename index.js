@@ -2,12 +2,17 @@ const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const dotenv = require('dotenv');
+const { numberFromEnv } = require('./utils/env');
 
 // Load env vars
 dotenv.config();
 
 const app = express();
 
+// Vercel and most hosts sit behind a proxy; trust it so req.ip is the client address
+// (TRUST_PROXY is the number of proxy hops, default 1; 0 trusts none)
+app.set('trust proxy', numberFromEnv('TRUST_PROXY', 1, { allowZero: true, integer: true }));
+
 // Body parser middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
@@ -19,8 +24,9 @@ app.use(express.urlencoded({ extended: true }));
 app.use(cors({
   origin: '*',
   credentials: false,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key', 'Last-Event-ID'],
+  exposedHeaders: ['Idempotent-Replayed', 'Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset']
 }));
 
 // Connect to MongoDB (optimized for serverless)
@@ -50,11 +56,31 @@ connectDB();
 const authRoutes = require('./routes/auth');
 const tripRoutes = require('./routes/trips');
 const userDataRoutes = require('./routes/userdata');
+const reportRoutes = require('./routes/reports');
+const vehicleRoutes = require('./routes/vehicles');
+const expenseRoutes = require('./routes/expenses');
+const maintenanceRoutes = require('./routes/maintenance');
+const sharedRoutes = require('./routes/shared');
+const liveRoutes = require('./routes/live');
+const orgRoutes = require('./routes/org');
+const placeRoutes = require('./routes/places');
+const geoRoutes = require('./routes/geo');
+const { rateLimit } = require('./middleware/rateLimit');
+const { startStaleTripWatchdog } = require('./utils/staleTrips');
 
 // Route middlewares
-app.use('/api/auth', authRoutes);
-app.use('/api/trips', tripRoutes);
-app.use('/api/userdata', userDataRoutes);
+app.use('/api/auth', rateLimit('auth'), authRoutes);
+app.use('/api/trips', rateLimit('trips'), tripRoutes);
+app.use('/api/userdata', rateLimit('userdata'), userDataRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/vehicles', vehicleRoutes);
+app.use('/api/expenses', expenseRoutes);
+app.use('/api/places', placeRoutes);
+app.use('/api/geo', rateLimit('geo'), geoRoutes);
+app.use('/api/maintenance', maintenanceRoutes);
+app.use('/api/shared', rateLimit('shared'), sharedRoutes);
+app.use('/api/live', rateLimit('live'), liveRoutes);
+app.use('/api/org', rateLimit('org'), orgRoutes);
 
 // Health check route
 app.get('/api/health', (req, res) => {
@@ -73,6 +99,14 @@ app.get('/', (req, res) => {
     endpoints: {
       auth: '/api/auth',
       trips: '/api/trips',
+      reports: '/api/reports',
+      vehicles: '/api/vehicles',
+      expenses: '/api/expenses',
+      places: '/api/places',
+      geo: '/api/geo',
+      shared: '/api/shared/:token',
+      live: '/api/live',
+      org: '/api/org',
       health: '/api/health'
     }
   });
@@ -104,6 +138,8 @@ if (isServerless) {
   module.exports = app;
 } else {
   const PORT = process.env.PORT || 3000;
+  // Serverless deployments run the watchdog from the cron in vercel.json instead
+  startStaleTripWatchdog();
   app.listen(PORT, () => {
     console.log(`🚀 Server running on port ${PORT}`);
     console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
 
 const protect = async (req, res, next) => {
   try {
@@ -19,6 +20,18 @@ const protect = async (req, res, next) => {
     try {
       // Verify token
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+      // Tokens bound to a session die with it (logout, revocation, refresh token reuse).
+      // Tokens issued before sessions existed carry no sid and simply run until they expire.
+      if (decoded.sid) {
+        req.authSession = await Session.findActive(decoded.sid);
+        if (!req.authSession || String(req.authSession.userId) !== String(decoded.id)) {
+          return res.status(401).json({
+            success: false,
+            error: 'Not authorized, session revoked'
+          });
+        }
+      }
       
       // Get user from token
       req.user = await User.findById(decoded.id);
@@ -30,6 +43,14 @@ const protect = async (req, res, next) => {
         });
       }
 
+      // Accounts pending deletion must sign in again, which cancels the deletion
+      if (req.user.deletionScheduledFor) {
+        return res.status(401).json({
+          success: false,
+          error: 'Not authorized, account scheduled for deletion'
+        });
+      }
+
       next();
     } catch (error) {
       return res.status(401).json({
@@ -0,0 +1,21 @@
+const crypto = require('crypto');
+
+// Guards scheduled-job endpoints. Vercel Cron sends `Authorization: Bearer <CRON_SECRET>`;
+// other schedulers can send the same header. Without CRON_SECRET the endpoints stay closed.
+const requireCronSecret = (req, res, next) => {
+  const secret = process.env.CRON_SECRET;
+  const header = req.get('Authorization') || '';
+  const provided = header.startsWith('Bearer ') ? header.slice(7) : '';
+
+  const expected = Buffer.from(String(secret || ''));
+  const actual = Buffer.from(provided);
+  if (!secret || expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return res.status(401).json({
+      success: false,
+      error: 'Not authorized'
+    });
+  }
+  next();
+};
+
+module.exports = { requireCronSecret };
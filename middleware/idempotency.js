@@ -0,0 +1,143 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const { numberFromEnv } = require('../utils/env');
+
+// How long a stored response is replayed for repeated keys (IDEMPOTENCY_TTL_HOURS, default 24)
+const getRetentionMs = () => numberFromEnv('IDEMPOTENCY_TTL_HOURS', 24) * 60 * 60 * 1000;
+
+// How long a request may hold its key before a retry can take it over (IDEMPOTENCY_LOCK_SECONDS, default 60)
+const getLeaseMs = () => numberFromEnv('IDEMPOTENCY_LOCK_SECONDS', 60) * 1000;
+
+// JSON with sorted keys so equal bodies hash the same regardless of key order
+const stableStringify = (value) => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+const hashRequest = (req) => crypto
+  .createHash('sha256')
+  .update(`${req.method} ${req.originalUrl.split('?')[0]} ${stableStringify(req.body || {})}`)
+  .digest('hex');
+
+// Answers that ask the client to try again (timeout, conflict, too early, rate limited);
+// like server errors they are not stored, so a retry with the same key runs for real
+const RETRYABLE_STATUSES = new Set([408, 409, 425, 429]);
+const isFinalStatus = (status) => status < 500 && !RETRYABLE_STATUSES.has(status);
+
+// Replays the first response for a repeated Idempotency-Key. Must run after `protect`.
+// Requests without the header pass straight through.
+const idempotent = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) return next();
+
+  if (key.length > 255) {
+    return res.status(400).json({
+      success: false,
+      error: 'Idempotency-Key cannot exceed 255 characters'
+    });
+  }
+
+  try {
+    const requestHash = hashRequest(req);
+    let record;
+
+    try {
+      record = await IdempotencyKey.create({
+        userId: req.user.id,
+        key,
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        requestHash,
+        lockedUntil: new Date(Date.now() + getLeaseMs()),
+        expiresAt: new Date(Date.now() + getRetentionMs())
+      });
+    } catch (error) {
+      if (error?.code !== 11000) throw error;
+
+      const existing = await IdempotencyKey.findOne({ userId: req.user.id, key });
+      if (!existing) {
+        // Expired between the insert and the lookup; let the client retry
+        return res.status(409).json({
+          success: false,
+          error: 'Idempotency-Key conflict, please retry'
+        });
+      }
+
+      if (existing.requestHash !== requestHash) {
+        return res.status(422).json({
+          success: false,
+          error: 'Idempotency-Key was already used for a different request'
+        });
+      }
+
+      if (existing.status === 'completed') {
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.responseStatus).json(existing.responseBody);
+      }
+
+      // Take over a key whose request never settled; only one retry wins the swap
+      const lockedUntil = existing.lockedUntil || new Date(existing.createdAt.getTime() + getLeaseMs());
+      if (lockedUntil <= new Date()) {
+        record = await IdempotencyKey.findOneAndUpdate(
+          { _id: existing._id, status: 'processing', lockedUntil: existing.lockedUntil ?? null },
+          { $set: { lockedUntil: new Date(Date.now() + getLeaseMs()) } },
+          { new: true }
+        );
+      }
+      if (!record) {
+        return res.status(409).json({
+          success: false,
+          error: 'A request with this Idempotency-Key is still being processed'
+        });
+      }
+    }
+
+    let settled = false;
+
+    // Capture the response so repeated keys can replay it
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      settled = true;
+      const status = res.statusCode;
+      // Only final answers are stored; retryable ones release the key
+      const settle = !isFinalStatus(status)
+        ? IdempotencyKey.deleteOne({ _id: record._id })
+        : IdempotencyKey.updateOne(
+          { _id: record._id },
+          { $set: { status: 'completed', responseStatus: status, responseBody: JSON.parse(JSON.stringify(body)) } }
+        );
+      // Send only after storing: serverless instances may freeze once the response is out
+      settle
+        .catch((e) => console.warn('Failed to store idempotent response:', e?.message || e))
+        .finally(() => originalJson(body));
+      return res;
+    };
+
+    // Responses sent another way (res.send, res.end, streams) cannot be replayed; release
+    // the key so a retry runs for real. A close before anything was sent means the
+    // handler is still running, so the key stays locked until it settles or the lease ends.
+    const release = () => {
+      if (settled) return;
+      settled = true;
+      IdempotencyKey.deleteOne({ _id: record._id, status: 'processing' })
+        .catch((e) => console.warn('Failed to release idempotency key:', e?.message || e));
+    };
+    res.on('finish', release);
+    res.on('close', () => {
+      if (res.headersSent) release();
+    });
+
+    next();
+  } catch (error) {
+    console.error('Idempotency error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error while checking idempotency key'
+    });
+  }
+};
+
+module.exports = { idempotent };
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+const Organization = require('../models/Organization');
+
+// Authorization companion to `protect`: loads req.params.orgId and checks the
+// caller's membership and role. Sets req.org and req.orgMember.
+// Non-members get 404 so organization ids cannot be probed; members without
+// one of the allowed roles get 403.
+const requireOrgRole = (...roles) => async (req, res, next) => {
+  try {
+    const { orgId } = req.params;
+    const org = mongoose.isValidObjectId(orgId) ? await Organization.findById(orgId) : null;
+    const member = org ? org.getMember(req.user.id) : null;
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        error: 'Organization not found'
+      });
+    }
+
+    if (roles.length && !roles.includes(member.role)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized for this organization'
+      });
+    }
+
+    req.org = org;
+    req.orgMember = member;
+    next();
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      error: 'Server error in authorization'
+    });
+  }
+};
+
+module.exports = { requireOrgRole };
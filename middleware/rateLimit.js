@@ -0,0 +1,117 @@
+const { getStore } = require('../utils/rateLimitStore');
+const { numberFromEnv } = require('../utils/env');
+
+// Request limits per route group, overridable with RATE_LIMIT_<GROUP>_MAX and
+// RATE_LIMIT_<GROUP>_WINDOW_SECONDS (e.g. RATE_LIMIT_AUTH_MAX=50)
+const DEFAULT_LIMITS = {
+  auth: { max: 100, windowSeconds: 15 * 60 },
+  trips: { max: 1200, windowSeconds: 15 * 60 },
+  userdata: { max: 300, windowSeconds: 15 * 60 },
+  shared: { max: 300, windowSeconds: 15 * 60 },
+  live: { max: 300, windowSeconds: 15 * 60 },
+  org: { max: 300, windowSeconds: 15 * 60 },
+  // Address search hits the shared geocoder quota
+  geo: { max: 100, windowSeconds: 15 * 60 },
+  // Live GPS writes, counted per account rather than per IP
+  route_points: { max: 1000, windowSeconds: 15 * 60 }
+};
+
+const getLimits = (group) => {
+  const defaults = DEFAULT_LIMITS[group] || DEFAULT_LIMITS.auth;
+  const prefix = `RATE_LIMIT_${group.toUpperCase()}`;
+  return {
+    max: numberFromEnv(`${prefix}_MAX`, defaults.max, { integer: true }),
+    windowMs: numberFromEnv(`${prefix}_WINDOW_SECONDS`, defaults.windowSeconds, { integer: true }) * 1000
+  };
+};
+
+const secondsUntil = (date) => Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+
+const setRateLimitHeaders = (res, max, count, resetAt) => {
+  res.set('RateLimit-Limit', String(max));
+  res.set('RateLimit-Remaining', String(Math.max(0, max - count)));
+  res.set('RateLimit-Reset', String(secondsUntil(resetAt)));
+};
+
+const tooManyRequests = (res, resetAt, error) => {
+  res.set('Retry-After', String(secondsUntil(resetAt)));
+  return res.status(429).json({
+    success: false,
+    error: error || 'Too many requests, please try again later'
+  });
+};
+
+// Limit requests for a route group. Counts per IP by default; with { perUser: true }
+// it counts per signed-in account and must run after `protect`.
+// Store errors let the request through rather than taking the API down.
+const rateLimit = (group, { perUser = false } = {}) => async (req, res, next) => {
+  const { max, windowMs } = getLimits(group);
+  const subject = perUser && req.user ? `user:${req.user.id}` : `ip:${req.ip}`;
+
+  let hit;
+  try {
+    hit = await getStore().increment(`${group}:${subject}`, windowMs);
+  } catch (error) {
+    console.warn('Rate limit store unavailable:', error?.message || error);
+    return next();
+  }
+
+  setRateLimitHeaders(res, max, hit.count, hit.resetAt);
+  if (hit.count > max) {
+    return tooManyRequests(res, hit.resetAt);
+  }
+  next();
+};
+
+// Failed sign-in tracking. An email is locked after LOGIN_MAX_FAILURES failures
+// and an IP after LOGIN_MAX_IP_FAILURES, each for LOGIN_LOCKOUT_MINUTES.
+// Keys use the submitted email so unknown accounts behave like real ones.
+const getLoginLimits = () => ({
+  maxAccount: numberFromEnv('LOGIN_MAX_FAILURES', 5, { integer: true }),
+  maxIp: numberFromEnv('LOGIN_MAX_IP_FAILURES', 20, { integer: true }),
+  windowMs: numberFromEnv('LOGIN_LOCKOUT_MINUTES', 15, { integer: true }) * 60 * 1000
+});
+
+const loginKeys = (req, email) => ({
+  account: `login:account:${String(email || '').toLowerCase().trim()}`,
+  ip: `login:ip:${req.ip}`
+});
+
+const loginAttempts = {
+  // Resolves to the Date the lock lifts, or null when sign-in may proceed
+  async lockedUntil(req, email) {
+    const { maxAccount, maxIp } = getLoginLimits();
+    const keys = loginKeys(req, email);
+    try {
+      const [account, ip] = await Promise.all([getStore().get(keys.account), getStore().get(keys.ip)]);
+      const locks = [];
+      if (account && account.count >= maxAccount) locks.push(account.resetAt);
+      if (ip && ip.count >= maxIp) locks.push(ip.resetAt);
+      return locks.length ? new Date(Math.max(...locks.map((d) => d.getTime()))) : null;
+    } catch (error) {
+      console.warn('Rate limit store unavailable:', error?.message || error);
+      return null;
+    }
+  },
+
+  async recordFailure(req, email) {
+    const { windowMs } = getLoginLimits();
+    const keys = loginKeys(req, email);
+    try {
+      await Promise.all([getStore().increment(keys.account, windowMs), getStore().increment(keys.ip, windowMs)]);
+    } catch (error) {
+      console.warn('Rate limit store unavailable:', error?.message || error);
+    }
+  },
+
+  // Successful sign-in or password reset unlocks the account (not the IP)
+  async clear(req, email) {
+    try {
+      await getStore().reset(loginKeys(req, email).account);
+    } catch (error) {
+      console.warn('Rate limit store unavailable:', error?.message || error);
+    }
+  }
+};
+
+module.exports = { rateLimit, loginAttempts, tooManyRequests, getLimits };
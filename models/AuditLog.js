@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+const AUDIT_ACTIONS = [
+  'data_export',
+  'account_deletion_scheduled',
+  'account_deletion_cancelled',
+  'account_deleted'
+];
+
+// Record of privacy-relevant account actions. Entries outlive the account they
+// refer to, so they hold only ids and request metadata, never profile data.
+const auditLogSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'User ID is required']
+  },
+  action: {
+    type: String,
+    enum: AUDIT_ACTIONS,
+    required: [true, 'Audit action is required']
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: null
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+auditLogSchema.index({ userId: 1, createdAt: -1 });
+
+// Static method to append an entry; `req` may be null for background jobs
+auditLogSchema.statics.record = function(userId, action, req, details = null) {
+  return this.create({
+    userId,
+    action,
+    ip: req?.ip || null,
+    userAgent: req ? (req.get('User-Agent') || '').slice(0, 500) || null : null,
+    details
+  });
+};
+
+auditLogSchema.statics.ACTIONS = AUDIT_ACTIONS;
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const PURPOSES = ['password_reset', 'email_verification'];
+
+// Single-use, expiring token sent by email. Only its hash is stored.
+const authTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  purpose: {
+    type: String,
+    enum: PURPOSES,
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+authTokenSchema.index({ userId: 1, purpose: 1 });
+// MongoDB removes tokens once they have expired
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Static method to create a token; resolves to the plain token to send to the user
+authTokenSchema.statics.issue = async function(userId, purpose, ttlMs) {
+  const token = crypto.randomBytes(32).toString('hex');
+  await this.create({
+    userId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs)
+  });
+  return token;
+};
+
+// Static method to use up a token; resolves to the token document, or null if
+// it is unknown, expired or already used
+authTokenSchema.statics.consume = function(token, purpose) {
+  if (!token) return Promise.resolve(null);
+  return this.findOneAndUpdate(
+    { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+};
+
+// Static method to invalidate all outstanding tokens of a purpose for a user
+authTokenSchema.statics.invalidate = function(userId, purpose) {
+  return this.updateMany(
+    { userId, purpose, usedAt: null },
+    { $set: { usedAt: new Date() } }
+  );
+};
+
+module.exports = mongoose.model('AuthToken', authTokenSchema);
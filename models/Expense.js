@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+const EXPENSE_TYPES = ['fuel', 'toll', 'parking', 'maintenance', 'other'];
+
+const expenseSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  tripId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trip',
+    default: null
+  },
+  vehicleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vehicle',
+    default: null
+  },
+  type: {
+    type: String,
+    enum: {
+      values: EXPENSE_TYPES,
+      message: 'Expense type must be one of: ' + EXPENSE_TYPES.join(', ')
+    },
+    required: [true, 'Expense type is required']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [0, 'Amount cannot be negative']
+  },
+  currency: {
+    type: String,
+    required: [true, 'Currency is required'],
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code']
+  },
+  // Fuel fill-ups only
+  litres: {
+    type: Number,
+    min: [0, 'Litres cannot be negative']
+  },
+  odometer: {
+    type: Number,
+    min: [0, 'Odometer reading cannot be negative']
+  },
+  // Full-tank fill-ups bound the segments used for fuel economy
+  fullTank: {
+    type: Boolean,
+    default: true
+  },
+  date: {
+    type: Date,
+    required: [true, 'Date is required'],
+    default: Date.now
+  },
+  receiptRef: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Receipt reference cannot exceed 500 characters']
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+expenseSchema.index({ userId: 1, date: -1 });
+expenseSchema.index({ tripId: 1 });
+expenseSchema.index({ vehicleId: 1, type: 1, odometer: 1 });
+
+expenseSchema.statics.TYPES = EXPENSE_TYPES;
+
+module.exports = mongoose.model('Expense', expenseSchema);
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Cached geocoder answers, shared by all serverless instances.
+// `result` is null when the provider found nothing, so misses are not re-queried either.
+const geocodeCacheSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Cache key is required']
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Least recently used entries are evicted first once the cache is full
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+geocodeCacheSchema.index({ key: 1 }, { unique: true });
+geocodeCacheSchema.index({ lastUsedAt: 1 });
+// MongoDB removes entries once they have expired
+geocodeCacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('GeocodeCache', geocodeCacheSchema);
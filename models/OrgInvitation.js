@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Emailed invitation to join an organization with a given role.
+// Only the token hash is stored; the invitee accepts while signed in with the invited email.
+const orgInvitationSchema = new mongoose.Schema({
+  orgId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: [true, 'Organization ID is required']
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: ['manager', 'driver'],
+    default: 'driver'
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  acceptedAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+orgInvitationSchema.index({ orgId: 1, email: 1 });
+// MongoDB removes invitations once they have expired
+orgInvitationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Static method to create an invitation, replacing any open one for the same email;
+// resolves to { invitation, token } with the plain token
+orgInvitationSchema.statics.issue = async function({ orgId, email, role, invitedBy, ttlMs }) {
+  await this.updateMany(
+    { orgId, email: String(email).toLowerCase(), acceptedAt: null, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+  const token = crypto.randomBytes(32).toString('hex');
+  const invitation = await this.create({
+    orgId,
+    email,
+    role,
+    invitedBy,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs)
+  });
+  return { invitation, token };
+};
+
+// Static method to find an open invitation by token
+orgInvitationSchema.statics.findOpen = function(token) {
+  if (!token) return Promise.resolve(null);
+  return this.findOne({
+    tokenHash: hashToken(token),
+    acceptedAt: null,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Never expose the token hash
+orgInvitationSchema.methods.toJSON = function() {
+  const invitation = this.toObject();
+  delete invitation.tokenHash;
+  delete invitation.__v;
+  return invitation;
+};
+
+module.exports = mongoose.model('OrgInvitation', orgInvitationSchema);
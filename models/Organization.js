@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+const ORG_ROLES = ['owner', 'manager', 'driver'];
+
+const memberSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: {
+      values: ORG_ROLES,
+      message: 'Role must be one of: ' + ORG_ROLES.join(', ')
+    },
+    default: 'driver'
+  },
+  // Manager views only include trips started after this
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// A team of drivers. Members are embedded: teams are small and every
+// authorization check needs the caller's role.
+const organizationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Organization name is required'],
+    trim: true,
+    minlength: [2, 'Organization name must be at least 2 characters long'],
+    maxlength: [100, 'Organization name cannot exceed 100 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  members: {
+    type: [memberSchema],
+    default: []
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+organizationSchema.index({ 'members.userId': 1 });
+
+// Instance method to find a member entry by user ID
+organizationSchema.methods.getMember = function(userId) {
+  return this.members.find((m) => String(m.userId) === String(userId)) || null;
+};
+
+organizationSchema.methods.countOwners = function() {
+  return this.members.filter((m) => m.role === 'owner').length;
+};
+
+// Static method to list organizations a user belongs to
+organizationSchema.statics.findForUser = function(userId) {
+  return this.find({ 'members.userId': userId }).sort({ name: 1 });
+};
+
+organizationSchema.statics.ROLES = ORG_ROLES;
+
+module.exports = mongoose.model('Organization', organizationSchema);
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// Fixed-window request counter used by the Mongo rate limit store.
+// Shared between serverless instances, unlike the in-memory store.
+const rateLimitSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Rate limit key is required']
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  resetAt: {
+    type: Date,
+    required: true
+  }
+});
+
+rateLimitSchema.index({ key: 1 }, { unique: true });
+// MongoDB removes counters once their window has passed
+rateLimitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimit', rateLimitSchema);
@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+const tripPointSchema = require('./tripPointSchema');
+const { normalizeRoute } = require('../utils/routeFilter');
+
+// Raw GPS track of a trip, split into fixed-size chunks so long trips never
+// grow a single document and new points can be appended without rewriting it.
+const CHUNK_SIZE = 500;
+
+const routeChunkSchema = new mongoose.Schema({
+  tripId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trip',
+    required: [true, 'Trip ID is required']
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  seq: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  count: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  points: {
+    type: [tripPointSchema],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+routeChunkSchema.index({ tripId: 1, seq: 1 }, { unique: true });
+routeChunkSchema.index({ userId: 1 });
+
+// Static method to load the full track of a trip, ordered and deduplicated by timestamp
+// (concurrent appends may land in chunks out of order)
+routeChunkSchema.statics.loadPoints = async function(tripId) {
+  const chunks = await this.find({ tripId }).sort({ seq: 1 }).lean();
+  return normalizeRoute(chunks.reduce((all, chunk) => all.concat(chunk.points || []), []));
+};
+
+// Static method to find which of the given timestamps are already stored for a trip
+routeChunkSchema.statics.findTimestamps = async function(tripId, timestamps) {
+  if (!timestamps || !timestamps.length) return new Set();
+  const rows = await this.aggregate([
+    { $match: { tripId: new mongoose.Types.ObjectId(String(tripId)), 'points.timestamp': { $in: timestamps } } },
+    { $unwind: '$points' },
+    { $match: { 'points.timestamp': { $in: timestamps } } },
+    { $group: { _id: '$points.timestamp' } }
+  ]);
+  return new Set(rows.map((r) => r._id));
+};
+
+// Chunks are filled in order and never reopened once full, so a point's position in the
+// track (seq * CHUNK_SIZE + index) is an append sequence: later appends get higher positions.
+
+// Static method to count the stored points of a trip (the position the next append gets)
+routeChunkSchema.statics.countPoints = async function(tripId) {
+  const last = await this.findOne({ tripId }).sort({ seq: -1 }).select('seq count').lean();
+  return last ? last.seq * CHUNK_SIZE + last.count : 0;
+};
+
+// Static method to load points in append order from `position` on.
+// Resolves to { points, position } where position is where the next read starts.
+routeChunkSchema.statics.loadPointsFrom = async function(tripId, position) {
+  const chunks = await this.find({ tripId, seq: { $gte: Math.floor(position / CHUNK_SIZE) } })
+    .sort({ seq: 1 })
+    .lean();
+  let points = [];
+  let next = position;
+  for (const chunk of chunks) {
+    const base = chunk.seq * CHUNK_SIZE;
+    points = points.concat((chunk.points || []).slice(Math.max(0, position - base)));
+    next = Math.max(next, base + (chunk.points || []).length);
+  }
+  return { points, position: next };
+};
+
+// Static method to append points, filling the last chunk before starting a new one
+routeChunkSchema.statics.appendPoints = async function(tripId, userId, points) {
+  let remaining = points || [];
+
+  while (remaining.length) {
+    const last = await this.findOne({ tripId }).sort({ seq: -1 }).select('seq count').lean();
+    const room = last ? CHUNK_SIZE - last.count : 0;
+
+    if (room > 0) {
+      const batch = remaining.slice(0, room);
+      // Guard on count so a concurrent append cannot overfill the chunk
+      const updated = await this.findOneAndUpdate(
+        { _id: last._id, count: { $lte: CHUNK_SIZE - batch.length } },
+        { $push: { points: { $each: batch } }, $inc: { count: batch.length } }
+      );
+      if (updated) remaining = remaining.slice(batch.length);
+      continue;
+    }
+
+    const batch = remaining.slice(0, CHUNK_SIZE);
+    try {
+      await this.create({
+        tripId,
+        userId,
+        seq: last ? last.seq + 1 : 0,
+        count: batch.length,
+        points: batch
+      });
+      remaining = remaining.slice(batch.length);
+    } catch (error) {
+      // Another request created this chunk first; retry against the new last chunk
+      if (error?.code !== 11000) throw error;
+    }
+  }
+};
+
+// Static method to replace the stored track of a trip
+routeChunkSchema.statics.replacePoints = async function(tripId, userId, points) {
+  await this.deleteMany({ tripId });
+  const docs = [];
+  for (let i = 0; i < (points || []).length; i += CHUNK_SIZE) {
+    const batch = points.slice(i, i + CHUNK_SIZE);
+    docs.push({ tripId, userId, seq: docs.length, count: batch.length, points: batch });
+  }
+  if (docs.length) await this.insertMany(docs);
+};
+
+routeChunkSchema.statics.CHUNK_SIZE = CHUNK_SIZE;
+
+module.exports = mongoose.model('RouteChunk', routeChunkSchema);
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const { haversineDistance } = require('../utils/geo');
+
+// A named circle ("Home", "Office") used to label trip start and end points
+const savedPlaceSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Place name is required'],
+    trim: true,
+    maxlength: [100, 'Place name cannot exceed 100 characters']
+  },
+  latitude: {
+    type: Number,
+    required: [true, 'Latitude is required'],
+    min: [-90, 'Latitude must be between -90 and 90'],
+    max: [90, 'Latitude must be between -90 and 90']
+  },
+  longitude: {
+    type: Number,
+    required: [true, 'Longitude is required'],
+    min: [-180, 'Longitude must be between -180 and 180'],
+    max: [180, 'Longitude must be between -180 and 180']
+  },
+  // Metres around the centre that count as being at the place
+  radius: {
+    type: Number,
+    default: 150,
+    min: [25, 'Radius must be at least 25 metres'],
+    max: [5000, 'Radius cannot exceed 5000 metres']
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+savedPlaceSchema.index({ userId: 1, name: 1 });
+
+// Static method to find the user's place containing a point.
+// When circles overlap the nearest centre wins; resolves to null when none match.
+savedPlaceSchema.statics.matchPoint = async function(userId, point) {
+  if (!point || typeof point.latitude !== 'number' || typeof point.longitude !== 'number') return null;
+
+  const places = await this.find({ userId });
+  let best = null;
+  let bestMetres = Infinity;
+  for (const place of places) {
+    const metres = haversineDistance(point, place) * 1000;
+    if (metres <= place.radius && metres < bestMetres) {
+      best = place;
+      bestMetres = metres;
+    }
+  }
+  return best;
+};
+
+module.exports = mongoose.model('SavedPlace', savedPlaceSchema);
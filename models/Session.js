@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// A signed-in device. Holds the hash of its current refresh token; each refresh
+// rotates it, so presenting the previous token for the same session means it was reused.
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  // The token the current one replaced, and when; see rotateRefreshToken
+  previousRefreshTokenHash: {
+    type: String,
+    default: null
+  },
+  rotatedAt: {
+    type: Date,
+    default: null
+  },
+  // How the user signed in to start this session: 'password' or 'google'
+  authMethod: {
+    type: String,
+    enum: ['password', 'google'],
+    default: undefined
+  },
+  deviceName: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Device name cannot exceed 100 characters']
+  },
+  userAgent: {
+    type: String,
+    maxlength: [500, 'User agent cannot exceed 500 characters']
+  },
+  ip: {
+    type: String
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked', 'reuse_detected', 'password_changed', 'account_deleted'],
+    default: undefined
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+// MongoDB removes sessions once their refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Remove the token hash from output
+sessionSchema.methods.toJSON = function() {
+  const session = this.toObject();
+  delete session.refreshTokenHash;
+  delete session.previousRefreshTokenHash;
+  delete session.__v;
+  return session;
+};
+
+sessionSchema.statics.hashToken = function(secret) {
+  return crypto.createHash('sha256').update(String(secret)).digest('hex');
+};
+
+// Static method to find a session that can still authenticate requests
+sessionSchema.statics.findActive = function(sessionId) {
+  if (!mongoose.isValidObjectId(sessionId)) return Promise.resolve(null);
+  return this.findOne({ _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } });
+};
+
+// Static method to revoke sessions matching a filter
+sessionSchema.statics.revoke = function(filter, reason = 'revoked') {
+  return this.updateMany(
+    { ...filter, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
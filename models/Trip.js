@@ -1,28 +1,13 @@
 const mongoose = require('mongoose');
+const { haversineDistance } = require('../utils/geo');
+const { filterRoute, filterPoints, normalizeRoute } = require('../utils/routeFilter');
+const { simplifyRoute } = require('../utils/routeSimplify');
+const tripPointSchema = require('./tripPointSchema');
+const RouteChunk = require('./RouteChunk');
+const Expense = require('./Expense');
+const TripShare = require('./TripShare');
 
-const tripPointSchema = new mongoose.Schema({
-  latitude: {
-    type: Number,
-    required: true,
-    min: -90,
-    max: 90
-  },
-  longitude: {
-    type: Number,
-    required: true,
-    min: -180,
-    max: 180
-  },
-  timestamp: {
-    type: Number,
-    required: true
-  },
-  accuracy: {
-    type: Number,
-    required: true,
-    min: 0
-  }
-}, { _id: false });
+const TRIP_CATEGORIES = ['business', 'personal', 'commute', 'medical', 'charity'];
 
 const tripSchema = new mongoose.Schema({
   userId: {
@@ -37,6 +22,29 @@ const tripSchema = new mongoose.Schema({
     minlength: [3, 'Purpose must be at least 3 characters long'],
     maxlength: [200, 'Purpose cannot exceed 200 characters']
   },
+  vehicleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vehicle',
+    default: null
+  },
+  // Tax / reimbursement classification; unset means not yet classified
+  category: {
+    type: String,
+    enum: {
+      values: TRIP_CATEGORIES,
+      message: 'Category must be one of: ' + TRIP_CATEGORIES.join(', ')
+    }
+  },
+  client: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Client cannot exceed 100 characters']
+  },
+  project: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Project cannot exceed 100 characters']
+  },
   startTime: {
     type: Date,
     required: [true, 'Start time is required'],
@@ -76,6 +84,17 @@ const tripSchema = new mongoose.Schema({
     trim: true,
     maxlength: [500, 'End location cannot exceed 500 characters']
   },
+  // Saved places the trip started and ended in, when the endpoints matched one
+  startPlaceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SavedPlace',
+    default: null
+  },
+  endPlaceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SavedPlace',
+    default: null
+  },
   distance: {
     type: Number,
     default: 0,
@@ -86,15 +105,68 @@ const tripSchema = new mongoose.Schema({
     default: 0,
     min: [0, 'Duration cannot be negative']
   },
+  // Full track for legacy 'embedded' trips; Douglas–Peucker preview for 'chunked' ones
   route: {
     type: [tripPointSchema],
     default: []
   },
+  // Where the raw track lives: on this document, or in the RouteChunk collection
+  routeStorage: {
+    type: String,
+    enum: ['embedded', 'chunked'],
+    default: 'embedded'
+  },
+  // Number of raw points in the full track
+  pointCount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Point count cannot be negative']
+  },
+  // Incremental distance state: newest stored timestamp, last raw point and
+  // last point accepted by the noise filter. Live appends only compute new segments.
+  lastTimestamp: {
+    type: Number,
+    default: null
+  },
+  lastPoint: {
+    type: tripPointSchema,
+    default: null
+  },
+  lastAccepted: {
+    type: tripPointSchema,
+    default: null
+  },
   status: {
     type: String,
     enum: ['active', 'completed'],
     default: 'active'
   },
+  // Opened by automatic trip detection; such trips wait for the user to confirm or discard them
+  autoDetected: {
+    type: Boolean,
+    default: false
+  },
+  needsReview: {
+    type: Boolean,
+    default: false
+  },
+  // Ended by the stale trip watchdog at its last point, not by the user
+  autoClosed: {
+    type: Boolean,
+    default: false
+  },
+  // Unfiltered Haversine sum over every route point, for comparison with `distance`
+  rawDistance: {
+    type: Number,
+    default: 0,
+    min: [0, 'Raw distance cannot be negative']
+  },
+  // Route points ignored by the GPS noise filter when computing `distance`
+  discardedPoints: {
+    type: Number,
+    default: 0,
+    min: [0, 'Discarded points cannot be negative']
+  },
   averageSpeed: {
     type: Number,
     default: 0,
@@ -117,30 +189,41 @@ const tripSchema = new mongoose.Schema({
 // Index for efficient queries
 tripSchema.index({ userId: 1, createdAt: -1 });
 tripSchema.index({ userId: 1, status: 1 });
+tripSchema.index({ userId: 1, category: 1, startTime: -1 });
+tripSchema.index({ userId: 1, vehicleId: 1, startTime: -1 });
+tripSchema.index({ userId: 1, startPlaceId: 1 });
+tripSchema.index({ userId: 1, endPlaceId: 1 });
+tripSchema.index({ userId: 1, needsReview: 1, startTime: -1 });
 
 // Virtual for calculated odometer distance
 tripSchema.virtual('odometerDistance').get(function() {
   return this.endOdometer ? this.endOdometer - this.startOdometer : 0;
 });
 
+tripSchema.statics.CATEGORIES = TRIP_CATEGORIES;
+
 // Static method to find active trip for user
 tripSchema.statics.findActiveTrip = function(userId) {
   return this.findOne({ userId, status: 'active' });
 };
 
 // Instance method to calculate trip metrics
-tripSchema.methods.calculateMetrics = function() {
-  // Calculate distance using Haversine formula when there are at least 2 points
-  let totalDistance = 0;
-  if (this.route && this.route.length >= 2) {
-    for (let i = 1; i < this.route.length; i++) {
-      const prev = this.route[i - 1];
-      const curr = this.route[i];
-      totalDistance += this.calculateHaversineDistance(prev, curr);
-    }
-  }
+// Chunked trips only keep a preview on `route`, so their distance is recomputed
+// only when the caller passes the full track.
+tripSchema.methods.calculateMetrics = function(fullRoute) {
+  const route = fullRoute || (this.routeStorage === 'chunked' ? null : this.route);
+
+  if (route) {
+    // Sum Haversine segments over the noise-filtered route (needs at least 2 accepted points)
+    const { distance, rawDistance, discarded, anchor, previous } = filterRoute(route);
 
-  this.distance = totalDistance;
+    this.distance = distance;
+    this.rawDistance = rawDistance;
+    this.discardedPoints = discarded.total;
+    this.lastTimestamp = route.length ? route[route.length - 1].timestamp : null;
+    this.lastPoint = previous;
+    this.lastAccepted = anchor;
+  }
 
   // Always compute duration when endTime exists, even if there are no route points
   if (this.endTime) {
@@ -150,18 +233,184 @@ tripSchema.methods.calculateMetrics = function() {
   }
 };
 
+// Instance method to set metrics and the simplified preview from a full track (in memory only)
+tripSchema.methods.applyRoute = function(points) {
+  const full = normalizeRoute(points);
+  this.routeStorage = 'chunked';
+  this.pointCount = full.length;
+  this.route = simplifyRoute(full);
+  this.calculateMetrics(full);
+};
+
+// Instance method to load the full raw track
+tripSchema.methods.loadFullRoute = async function() {
+  if (this.routeStorage !== 'chunked') {
+    return normalizeRoute((this.route || []).map((p) => (p.toObject ? p.toObject() : p)));
+  }
+  return RouteChunk.loadPoints(this._id);
+};
+
+// Instance method to replace the full track and save the trip.
+// `beforeSave` runs once the metrics are set, for fields derived from them.
+tripSchema.methods.saveRoute = async function(points, beforeSave) {
+  const full = normalizeRoute(points);
+  // Chunks first: a track without a trip is invisible, a trip without its track is not
+  await RouteChunk.replacePoints(this._id, this.userId, full);
+  this.applyRoute(full);
+  if (beforeSave) beforeSave(this);
+  await this.save();
+  return this;
+};
+
+// Instance method to recompute metrics and preview from the full stored track (in memory only).
+// Legacy embedded tracks are moved into chunks on the way.
+tripSchema.methods.rebuildRoute = async function() {
+  const full = await this.loadFullRoute();
+  if (this.routeStorage !== 'chunked') {
+    await RouteChunk.replacePoints(this._id, this.userId, full);
+  }
+  this.applyRoute(full);
+  return this;
+};
+
+const MAX_ROUTE_UPDATE_ATTEMPTS = 10;
+
+// Accepted points kept on `route` while a trip is active; the full track lives in RouteChunk
+const LIVE_PREVIEW_POINTS = 500;
+
+// Instance method to recompute metrics after out-of-order points were stored.
+// Guarded on lastTimestamp so it never overwrites a concurrent append.
+tripSchema.methods.recomputeStoredRoute = async function() {
+  const Trip = this.constructor;
+  for (let attempt = 0; attempt < MAX_ROUTE_UPDATE_ATTEMPTS; attempt++) {
+    const current = await Trip.findById(this._id).select('lastTimestamp');
+    if (!current) return null;
+
+    const full = await RouteChunk.loadPoints(this._id);
+    const { distance, rawDistance, discarded, anchor, previous } = filterRoute(full);
+    const updated = await Trip.findOneAndUpdate(
+      { _id: this._id, lastTimestamp: current.lastTimestamp },
+      {
+        $set: {
+          distance,
+          rawDistance,
+          discardedPoints: discarded.total,
+          pointCount: full.length,
+          lastPoint: previous,
+          lastAccepted: anchor,
+          route: simplifyRoute(full)
+        }
+      },
+      { new: true }
+    );
+    if (updated) return updated;
+  }
+  throw new Error('Too many concurrent route updates');
+};
+
+// Instance method to append points without rewriting the trip document.
+// Points are stored in chunks first (loading deduplicates by timestamp), so a crash
+// before the trip update leaves them in the track rather than losing them.
+// Points newer than lastTimestamp are then claimed with one atomic update that carries
+// the incremental distance, using lastTimestamp as a compare-and-swap guard so
+// concurrent batches serialize and retried uploads cannot be counted twice.
+// Older points are late arrivals: deduplicated against storage, then recomputed.
+// Returns { trip, added, duplicates }; trip is null if it is no longer active.
+tripSchema.methods.appendRoutePoints = async function(points) {
+  const Trip = this.constructor;
+  const incoming = normalizeRoute(points);
+  let current = this;
+  let added = 0;
+
+  // Legacy trips keep their track embedded; move it into chunks first
+  if (current.routeStorage !== 'chunked') {
+    await current.rebuildRoute();
+    await current.save();
+  }
+
+  // Timestamps this call stored; if a concurrent batch claims past them they are
+  // no longer fresh, but still have to be counted by the recompute below
+  const written = new Set();
+  let late = [];
+  for (let attempt = 0; ; attempt++) {
+    if (attempt >= MAX_ROUTE_UPDATE_ATTEMPTS) throw new Error('Too many concurrent route updates');
+
+    const last = current.lastTimestamp ?? null;
+    const fresh = incoming.filter((p) => last === null || p.timestamp > last);
+    late = incoming.filter((p) => last !== null && p.timestamp <= last);
+    if (!fresh.length) break;
+
+    const unwritten = fresh.filter((p) => !written.has(p.timestamp));
+    const stored = await RouteChunk.findTimestamps(this._id, unwritten.map((p) => p.timestamp));
+    const toStore = unwritten.filter((p) => !stored.has(p.timestamp));
+    if (toStore.length) {
+      await RouteChunk.appendPoints(this._id, this.userId, toStore);
+      toStore.forEach((p) => written.add(p.timestamp));
+    }
+
+    const result = filterPoints({ anchor: current.lastAccepted, previous: current.lastPoint }, fresh);
+    const updated = await Trip.findOneAndUpdate(
+      { _id: this._id, status: 'active', lastTimestamp: last },
+      {
+        $inc: {
+          distance: result.distance,
+          rawDistance: result.rawDistance,
+          discardedPoints: result.discarded.total,
+          pointCount: fresh.length
+        },
+        $set: {
+          lastTimestamp: fresh[fresh.length - 1].timestamp,
+          lastPoint: result.previous,
+          lastAccepted: result.anchor
+        },
+        // Live preview keeps the newest accepted points; endTrip replaces it with the simplified track
+        $push: { route: { $each: result.points, $slice: -LIVE_PREVIEW_POINTS } }
+      },
+      { new: true }
+    );
+
+    if (updated) {
+      added += fresh.length;
+      current = updated;
+      break;
+    }
+
+    // Another batch moved lastTimestamp (or the trip ended); reload and retry
+    current = await Trip.findOne({ _id: this._id, status: 'active' });
+    // Points already stored stay in the ended trip's track, where its final rebuild finds them
+    if (!current) return { trip: null, added, duplicates: 0 };
+  }
+
+  let duplicates = 0;
+  if (late.length) {
+    const ours = late.filter((p) => written.has(p.timestamp));
+    const others = late.filter((p) => !written.has(p.timestamp));
+    const stored = await RouteChunk.findTimestamps(this._id, others.map((p) => p.timestamp));
+    const missing = others.filter((p) => !stored.has(p.timestamp));
+    duplicates = others.length - missing.length;
+    if (missing.length) await RouteChunk.appendPoints(this._id, this.userId, missing);
+    if (missing.length || ours.length) {
+      added += missing.length + ours.length;
+      current = await current.recomputeStoredRoute();
+    }
+  }
+
+  return { trip: current, added, duplicates };
+};
+
 // Helper method for distance calculation
 tripSchema.methods.calculateHaversineDistance = function(point1, point2) {
-  const R = 6371; // Earth's radius in kilometers
-  const dLat = (point2.latitude - point1.latitude) * Math.PI / 180;
-  const dLon = (point2.longitude - point1.longitude) * Math.PI / 180;
-  const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos(point1.latitude * Math.PI / 180) * Math.cos(point2.latitude * Math.PI / 180) *
-    Math.sin(dLon / 2) * Math.sin(dLon / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return R * c;
+  return haversineDistance(point1, point2);
 };
 
+// Remove the chunked track and share links together with their trip; expenses stay on the vehicle
+tripSchema.post('findOneAndDelete', async function(doc) {
+  if (!doc) return;
+  await RouteChunk.deleteMany({ tripId: doc._id });
+  await TripShare.deleteMany({ tripId: doc._id });
+  await Expense.updateMany({ tripId: doc._id }, { $set: { tripId: null } });
+});
+
 // Update metrics before saving
 tripSchema.pre('save', function(next) {
   this.calculateMetrics();
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const tripPointSchema = require('./tripPointSchema');
+
+// Per-user segmenter state for automatic trip detection (see utils/tripDetection).
+// Kept in the database because consecutive uploads may reach different serverless instances.
+const tripDetectionStateSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    unique: true
+  },
+  // Whether an auto-detected trip is being recorded, and which one
+  recording: {
+    type: Boolean,
+    default: false
+  },
+  tripId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trip',
+    default: null
+  },
+  // Last point that moved the vehicle; the stationary timer runs from here
+  anchor: {
+    type: tripPointSchema,
+    default: null
+  },
+  // Recent points while idle, or stationary points held back while recording
+  buffer: {
+    type: [tripPointSchema],
+    default: []
+  },
+  lastTimestamp: {
+    type: Number,
+    default: null
+  },
+  // Uploads for one user are processed one at a time under this lease
+  lockedUntil: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to take the user's processing lease, creating the state on first use.
+// Resolves to null while another upload holds it.
+tripDetectionStateSchema.statics.acquire = async function(userId, leaseMs = 30000) {
+  const now = new Date();
+  try {
+    return await this.findOneAndUpdate(
+      { userId, $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] },
+      { $set: { lockedUntil: new Date(now.getTime() + leaseMs) }, $setOnInsert: { userId } },
+      { new: true, upsert: true }
+    );
+  } catch (error) {
+    // The state exists and is locked, so the upsert collided with it
+    if (error?.code === 11000) return null;
+    throw error;
+  }
+};
+
+// Instance method to store the new state and give up the lease
+tripDetectionStateSchema.methods.release = async function(fields = {}) {
+  Object.assign(this, fields, { lockedUntil: null });
+  await this.save();
+  return this;
+};
+
+module.exports = mongoose.model('TripDetectionState', tripDetectionStateSchema);
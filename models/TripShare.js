@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Public, read-only link to a completed trip. Only the token hash is stored, so the
+// link is shown once at creation; the owner can revoke it at any time.
+const tripShareSchema = new mongoose.Schema({
+  tripId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trip',
+    required: [true, 'Trip ID is required']
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Route within this many metres (along the track) of the start and end is left out
+  trimMeters: {
+    type: Number,
+    default: 0,
+    min: [0, 'Trim distance cannot be negative'],
+    max: [10000, 'Trim distance cannot exceed 10000 metres']
+  },
+  // Show the day only, without times or point timestamps
+  hideTimestamps: {
+    type: Boolean,
+    default: false
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  viewCount: {
+    type: Number,
+    default: 0
+  },
+  lastViewedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+tripShareSchema.index({ tripId: 1, createdAt: -1 });
+tripShareSchema.index({ userId: 1 });
+// MongoDB removes links once they have expired
+tripShareSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+tripShareSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Static method to create a link; resolves to { share, token } with the plain token
+tripShareSchema.statics.issue = async function(trip, { trimMeters, hideTimestamps, ttlMs }) {
+  const token = crypto.randomBytes(24).toString('base64url');
+  const share = await this.create({
+    tripId: trip._id,
+    userId: trip.userId,
+    tokenHash: hashToken(token),
+    trimMeters,
+    hideTimestamps,
+    expiresAt: new Date(Date.now() + ttlMs)
+  });
+  return { share, token };
+};
+
+// Static method to open a link and count the view; resolves to null if it is
+// unknown, expired or revoked
+tripShareSchema.statics.open = function(token) {
+  if (!token) return Promise.resolve(null);
+  return this.findOneAndUpdate(
+    { tokenHash: hashToken(token), revokedAt: null, expiresAt: { $gt: new Date() } },
+    { $inc: { viewCount: 1 }, $set: { lastViewedAt: new Date() } },
+    { new: true }
+  );
+};
+
+// Never expose the token hash
+tripShareSchema.methods.toJSON = function() {
+  const share = this.toObject();
+  delete share.tokenHash;
+  delete share.__v;
+  return share;
+};
+
+module.exports = mongoose.model('TripShare', tripShareSchema);
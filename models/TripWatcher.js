@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Invitation for a contact (family, dispatch) to follow the owner's active trips live.
+// The contact needs no account; the invitation token is the credential, so only its
+// hash is stored and the owner can revoke it at any time.
+const tripWatcherSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Watcher name is required'],
+    trim: true,
+    maxlength: [100, 'Watcher name cannot exceed 100 characters']
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Null means the invitation lasts until revoked
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  lastConnectedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+tripWatcherSchema.index({ userId: 1, createdAt: -1 });
+// MongoDB removes expiring invitations once they lapse
+tripWatcherSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+tripWatcherSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+});
+
+// Static method to create an invitation; resolves to { watcher, token } with the plain token
+tripWatcherSchema.statics.issue = async function(userId, { name, ttlMs }) {
+  const token = crypto.randomBytes(24).toString('base64url');
+  const watcher = await this.create({
+    userId,
+    name,
+    tokenHash: hashToken(token),
+    expiresAt: ttlMs ? new Date(Date.now() + ttlMs) : null
+  });
+  return { watcher, token };
+};
+
+const activeCondition = () => ({
+  revokedAt: null,
+  $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+});
+
+// Static method to find the usable invitation for a token
+tripWatcherSchema.statics.findByToken = function(token) {
+  if (!token) return Promise.resolve(null);
+  return this.findOne({ tokenHash: hashToken(token), ...activeCondition() });
+};
+
+// Static method to check that an invitation is still usable
+tripWatcherSchema.statics.isActive = async function(watcherId) {
+  return !!(await this.exists({ _id: watcherId, ...activeCondition() }));
+};
+
+// Never expose the token hash
+tripWatcherSchema.methods.toJSON = function() {
+  const watcher = this.toObject();
+  delete watcher.tokenHash;
+  delete watcher.__v;
+  return watcher;
+};
+
+module.exports = mongoose.model('TripWatcher', tripWatcherSchema);
@@ -1,6 +1,8 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
+const AUTH_PROVIDERS = ['password', 'google'];
+
 const userSchema = new mongoose.Schema({
   fullName: {
     type: String,
@@ -30,10 +32,29 @@ const userSchema = new mongoose.Schema({
     unique: true,
     sparse: true // Allow null values, but enforce uniqueness when present
   },
+  // Sign-in methods the user can actually use. Unset on accounts created before
+  // it was tracked; see getAuthProviders.
+  authProviders: {
+    type: [{ type: String, enum: AUTH_PROVIDERS }],
+    default: undefined
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
   profilePicture: {
     type: String,
     default: null
   },
+  // Set while a deletion request is in its grace period; signing in clears it
+  deletionScheduledFor: {
+    type: Date,
+    default: null
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -63,6 +84,33 @@ userSchema.methods.correctPassword = async function(candidatePassword, userPassw
   return await bcrypt.compare(candidatePassword, userPassword);
 };
 
+// Instance method to list active sign-in methods.
+// Older accounts are inferred: Google sign-ups were given a random throwaway password,
+// so any account with a googleId counts as Google-only until it signs in with a password.
+userSchema.methods.getAuthProviders = function() {
+  if (this.hasTrackedAuthProviders()) return this.authProviders.slice();
+  return this.googleId ? ['google'] : ['password'];
+};
+
+// Instance method telling whether authProviders is stored rather than inferred
+userSchema.methods.hasTrackedAuthProviders = function() {
+  return Array.isArray(this.authProviders) && this.authProviders.length > 0;
+};
+
+userSchema.methods.hasAuthProvider = function(provider) {
+  return this.getAuthProviders().includes(provider);
+};
+
+userSchema.methods.enableAuthProvider = function(provider) {
+  this.authProviders = Array.from(new Set([...this.getAuthProviders(), provider]));
+};
+
+userSchema.methods.disableAuthProvider = function(provider) {
+  this.authProviders = this.getAuthProviders().filter((p) => p !== provider);
+};
+
+userSchema.statics.AUTH_PROVIDERS = AUTH_PROVIDERS;
+
 // Remove password from output
 userSchema.methods.toJSON = function() {
   const user = this.toObject();
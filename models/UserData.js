@@ -1,4 +1,58 @@
 const mongoose = require('mongoose');
+const { UNIT_SYSTEMS } = require('../utils/units');
+const { isValidTimeZone } = require('../utils/dateRange');
+
+const PREFERENCE_DEFAULTS = {
+  units: 'metric',
+  timezone: 'UTC',
+  currency: null,
+  defaultPurpose: null,
+  reimbursementRate: null
+};
+
+const preferencesSchema = new mongoose.Schema({
+  // Distances in trip responses: km / km/h or mi / mph
+  units: {
+    type: String,
+    enum: {
+      values: UNIT_SYSTEMS,
+      message: 'Units must be one of: ' + UNIT_SYSTEMS.join(', ')
+    },
+    default: PREFERENCE_DEFAULTS.units
+  },
+  // Default time zone for stats, logbooks and reports
+  timezone: {
+    type: String,
+    default: PREFERENCE_DEFAULTS.timezone,
+    validate: {
+      validator: (value) => isValidTimeZone(value),
+      message: 'Invalid time zone'
+    }
+  },
+  // Reporting currency; unset falls back to MILEAGE_CURRENCY
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code'],
+    default: PREFERENCE_DEFAULTS.currency
+  },
+  // Used when a trip is started without a purpose
+  defaultPurpose: {
+    type: String,
+    trim: true,
+    minlength: [3, 'Default purpose must be at least 3 characters long'],
+    maxlength: [200, 'Default purpose cannot exceed 200 characters'],
+    default: PREFERENCE_DEFAULTS.defaultPurpose
+  },
+  // Business reimbursement per unit of distance (per km or per mile, following `units`);
+  // unset falls back to the MILEAGE_RATES business rate
+  reimbursementRate: {
+    type: Number,
+    min: [0, 'Reimbursement rate cannot be negative'],
+    default: PREFERENCE_DEFAULTS.reimbursementRate
+  }
+}, { _id: false });
 
 const userDataSchema = new mongoose.Schema({
   userId: {
@@ -7,6 +61,7 @@ const userDataSchema = new mongoose.Schema({
     required: [true, 'User ID is required'],
     unique: true
   },
+  // Mirrors the default vehicle's odometer; per-vehicle readings live on Vehicle
   currentOdometer: {
     type: Number,
     required: [true, 'Current odometer is required'],
@@ -18,6 +73,10 @@ const userDataSchema = new mongoose.Schema({
     ref: 'Trip',
     default: null
   },
+  preferences: {
+    type: preferencesSchema,
+    default: () => ({})
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -59,6 +118,17 @@ userDataSchema.statics.findByUserId = function(userId) {
   return this.findOne({ userId });
 };
 
+// Static method to get a user's preferences with defaults filled in
+userDataSchema.statics.getPreferences = async function(userId) {
+  const doc = await this.findOne({ userId }).select('preferences').lean();
+  const stored = Object.fromEntries(
+    Object.entries(doc?.preferences || {}).filter(([, value]) => value !== undefined && value !== null)
+  );
+  return { ...PREFERENCE_DEFAULTS, ...stored };
+};
+
+userDataSchema.statics.PREFERENCE_DEFAULTS = PREFERENCE_DEFAULTS;
+
 // Static method to create or update user data
 userDataSchema.statics.createOrUpdate = function(userId, updateData) {
   return this.findOneAndUpdate(
@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+
+const FUEL_TYPES = ['petrol', 'diesel', 'electric', 'hybrid', 'lpg', 'cng', 'other'];
+
+const vehicleSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Vehicle name is required'],
+    trim: true,
+    maxlength: [100, 'Vehicle name cannot exceed 100 characters']
+  },
+  plate: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    maxlength: [20, 'Plate cannot exceed 20 characters']
+  },
+  fuelType: {
+    type: String,
+    enum: {
+      values: FUEL_TYPES,
+      message: 'Fuel type must be one of: ' + FUEL_TYPES.join(', ')
+    },
+    default: 'petrol'
+  },
+  initialOdometer: {
+    type: Number,
+    default: 0,
+    min: [0, 'Odometer reading cannot be negative']
+  },
+  currentOdometer: {
+    type: Number,
+    default: 0,
+    min: [0, 'Odometer reading cannot be negative']
+  },
+  // The vehicle used when a trip does not name one; mirrored into UserData.currentOdometer
+  isDefault: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+vehicleSchema.index({ userId: 1, createdAt: 1 });
+// At most one default vehicle per user
+vehicleSchema.index({ userId: 1 }, { unique: true, partialFilterExpression: { isDefault: true } });
+
+vehicleSchema.statics.FUEL_TYPES = FUEL_TYPES;
+
+// Static method to get the user's default vehicle, creating it on first use.
+// Users from before vehicles existed get one seeded from UserData.currentOdometer.
+// Whichever vehicle becomes the default, trips without a vehicle are attached to it.
+vehicleSchema.statics.findOrCreateDefault = async function(userId) {
+  const existing = await this.findOne({ userId, isDefault: true });
+  if (existing) return existing;
+
+  const Trip = mongoose.model('Trip');
+
+  // Any vehicle can become the default if the user has vehicles but none is flagged
+  let vehicle = await this.findOneAndUpdate(
+    { userId },
+    { $set: { isDefault: true } },
+    { new: true, sort: { createdAt: 1 } }
+  ).catch((error) => {
+    if (error?.code === 11000) return null;
+    throw error;
+  });
+
+  if (!vehicle) {
+    const UserData = mongoose.model('UserData');
+    const userData = await UserData.findByUserId(userId);
+    const odometer = userData?.currentOdometer || 0;
+
+    try {
+      vehicle = await this.create({
+        userId,
+        name: 'My vehicle',
+        initialOdometer: odometer,
+        currentOdometer: odometer,
+        isDefault: true
+      });
+    } catch (error) {
+      // A concurrent request created the default first
+      if (error?.code !== 11000) throw error;
+      return this.findOne({ userId, isDefault: true });
+    }
+  }
+
+  await Trip.updateMany({ userId, vehicleId: null }, { $set: { vehicleId: vehicle._id } });
+  return vehicle;
+};
+
+// Static method to resolve a vehicle by id for a user, or their default when no id is given.
+// Resolves to null if the id does not belong to the user.
+vehicleSchema.statics.resolveForUser = async function(userId, vehicleId) {
+  if (!vehicleId) return this.findOrCreateDefault(userId);
+  if (!mongoose.isValidObjectId(vehicleId)) return null;
+  return this.findOne({ _id: vehicleId, userId });
+};
+
+// Static method to move a vehicle's odometer forward (never backwards)
+vehicleSchema.statics.advanceOdometer = function(vehicleId, reading) {
+  return this.findOneAndUpdate(
+    { _id: vehicleId },
+    { $max: { currentOdometer: Number(reading) || 0 } },
+    { new: true }
+  );
+};
+
+// Static method to move a vehicle's odometer back from `from` to `to`, only while it
+// still reads `from` (nothing advanced it since). Resolves to null when it has moved on.
+vehicleSchema.statics.rewindOdometer = function(vehicleId, from, to) {
+  return this.findOneAndUpdate(
+    { _id: vehicleId, currentOdometer: from },
+    { $set: { currentOdometer: to } },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('Vehicle', vehicleSchema);
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// A single GPS fix, shared by the Trip preview route and RouteChunk storage
+const tripPointSchema = new mongoose.Schema({
+  latitude: {
+    type: Number,
+    required: true,
+    min: -90,
+    max: 90
+  },
+  longitude: {
+    type: Number,
+    required: true,
+    min: -180,
+    max: 180
+  },
+  timestamp: {
+    type: Number,
+    required: true
+  },
+  accuracy: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
+module.exports = tripPointSchema;
@@ -1,41 +1,104 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const { OAuth2Client } = require('google-auth-library');
 const User = require('../models/User');
 const UserData = require('../models/UserData');
+const Session = require('../models/Session');
+const AuthToken = require('../models/AuthToken');
+const AuditLog = require('../models/AuditLog');
+const TripShare = require('../models/TripShare');
+const TripWatcher = require('../models/TripWatcher');
 const { protect } = require('../middleware/auth');
+const { issueTokens, rotateRefreshToken } = require('../utils/authTokens');
+const { sendMail, frontendUrl } = require('../utils/mailer');
+const { numberFromEnv } = require('../utils/env');
+const { loginAttempts, tooManyRequests } = require('../middleware/rateLimit');
+const { writeAccountExport, deleteAccountData, getDeletionGraceMs } = require('../utils/accountData');
+const { isPrematureClose } = require('../utils/streams');
 
 const client = new OAuth2Client(process.env.GOOGLE_CLIENT_ID);
 
 const router = express.Router();
 
-// Helper: seconds until next 1:00 AM for a given timezone offset (minutes)
-// Use env var JWT_TZ_OFFSET_MINUTES (e.g., 330 for IST) – defaults to UTC (0)
-const getSecondsUntilNext1AM = () => {
-  const offsetMin = parseInt(process.env.JWT_TZ_OFFSET_MINUTES || '0', 10) || 0;
-
-  // Current UTC time
-  const nowUtc = new Date();
-  // Convert to target timezone by applying offset minutes
-  const nowTz = new Date(nowUtc.getTime() + offsetMin * 60 * 1000);
-
-  // Compute next 1:00 AM in target timezone
-  const next1amTz = new Date(nowTz);
-  next1amTz.setHours(1, 0, 0, 0);
-  if (next1amTz <= nowTz) {
-    next1amTz.setDate(next1amTz.getDate() + 1);
+// Verify a Google sign-in, from either an ID token (`credential`) or an OAuth authorization `code`.
+// Resolves to the verified ID token payload.
+const verifyGoogleIdentity = async ({ credential, code }) => {
+  let idToken = credential;
+  if (!idToken && code) {
+    // Exchange code for tokens
+    const { tokens } = await client.getToken({
+      code,
+      client_id: process.env.GOOGLE_CLIENT_ID,
+      client_secret: process.env.GOOGLE_CLIENT_SECRET,
+      redirect_uri: process.env.GOOGLE_REDIRECT_URI || 'http://localhost:8080/auth/callback',
+      grant_type: 'authorization_code'
+    });
+    idToken = tokens.id_token;
   }
 
-  const diffMs = next1amTz.getTime() - nowTz.getTime();
-  // Convert back to seconds; ensure a minimum validity window (e.g., 5 minutes)
-  return Math.max(300, Math.floor(diffMs / 1000));
+  const ticket = await client.verifyIdToken({
+    idToken,
+    audience: process.env.GOOGLE_CLIENT_ID,
+  });
+  return ticket.getPayload();
+};
+
+// Find the account for a Google identity. An existing account with the same email is
+// not linked implicitly: its owner has to sign in and link Google explicitly.
+// Returns { user } (null when a new account should be created) or { conflict: true }.
+const findGoogleAccount = async (googleId, email) => {
+  const linked = await User.findOne({ googleId });
+  if (linked) return { user: linked };
+
+  const sameEmail = await User.findOne({ email: email.toLowerCase() });
+  if (sameEmail) return { conflict: true };
+
+  return { user: null };
 };
 
-// Generate JWT Token that expires at next 1 AM of configured timezone
-const generateToken = (id) => {
-  const expiresInSeconds = getSecondsUntilNext1AM();
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: expiresInSeconds
+const googleConflictResponse = (res) => res.status(409).json({
+  success: false,
+  error: 'An account with this email already exists. Sign in with your password and link Google from your account settings.',
+  code: 'ACCOUNT_EXISTS'
+});
+
+// Signing in during the deletion grace period keeps the account
+const cancelScheduledDeletion = async (user, req) => {
+  if (!user.deletionScheduledFor) return;
+  user.deletionScheduledFor = null;
+  await user.save();
+  await AuditLog.record(user._id, 'account_deletion_cancelled', req);
+};
+
+const ttlFromEnv = (name, fallback, unitMs) => numberFromEnv(name, fallback) * unitMs;
+
+// Email a fresh verification link, replacing any earlier one
+const sendVerificationEmail = async (user) => {
+  await AuthToken.invalidate(user._id, 'email_verification');
+  const token = await AuthToken.issue(
+    user._id,
+    'email_verification',
+    ttlFromEnv('EMAIL_VERIFICATION_TTL_HOURS', 48, 60 * 60 * 1000)
+  );
+  const link = frontendUrl('/verify-email', token);
+  await sendMail({
+    to: user.email,
+    subject: 'Confirm your email address',
+    text: `Hi ${user.fullName},\n\nPlease confirm your email address by opening this link:\n${link}\n\nIf you did not create an account, you can ignore this email.`
+  });
+};
+
+const sendPasswordResetEmail = async (user) => {
+  await AuthToken.invalidate(user._id, 'password_reset');
+  const token = await AuthToken.issue(
+    user._id,
+    'password_reset',
+    ttlFromEnv('PASSWORD_RESET_TTL_MINUTES', 60, 60 * 1000)
+  );
+  const link = frontendUrl('/reset-password', token);
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.fullName},\n\nYou can choose a new password using this link:\n${link}\n\nIf you did not ask for a password reset, you can ignore this email.`
   });
 };
 
@@ -74,7 +137,8 @@ const register = async (req, res) => {
     const user = await User.create({
       fullName: name.trim(),
       email: email.toLowerCase().trim(),
-      password
+      password,
+      authProviders: ['password']
     });
 
     // Create initial user data
@@ -84,12 +148,19 @@ const register = async (req, res) => {
       activeTrip: null
     });
 
-    // Generate token
-    const token = generateToken(user._id);
+    // A failed email must not fail registration; the user can ask for a new link
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailErr) {
+      console.warn('Failed to send verification email:', mailErr?.message || mailErr);
+    }
+
+    // Start a session: short-lived access token plus rotating refresh token
+    const tokens = await issueTokens(user._id, req, 'password');
 
     res.status(201).json({
       success: true,
-      token,
+      ...tokens,
       user: {
         id: user._id,
         name: user.fullName,
@@ -120,32 +191,41 @@ const login = async (req, res) => {
       });
     }
 
+    // Refuse locked accounts before touching the password
+    const lockedUntil = await loginAttempts.lockedUntil(req, email);
+    if (lockedUntil) {
+      return tooManyRequests(res, lockedUntil, 'Too many failed login attempts, please try again later');
+    }
+
     // Check for user (include password for comparison)
     const user = await User.findOne({ email: email.toLowerCase() }).select('+password');
-    
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        error: 'Invalid credentials'
-      });
-    }
 
-    // Check password
-    const isMatch = await user.correctPassword(password, user.password);
+    // Check password (Google-only accounts have none)
+    const isMatch = !!user?.password && await user.correctPassword(password, user.password);
     
     if (!isMatch) {
+      await loginAttempts.recordFailure(req, email);
       return res.status(401).json({
         success: false,
         error: 'Invalid credentials'
       });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    await loginAttempts.clear(req, email);
+    await cancelScheduledDeletion(user, req);
+
+    // Older accounts linked to Google are inferred as Google-only; knowing the password proves otherwise
+    if (!user.hasTrackedAuthProviders() && !user.hasAuthProvider('password')) {
+      user.enableAuthProvider('password');
+      await user.save();
+    }
+
+    // Start a session: short-lived access token plus rotating refresh token
+    const tokens = await issueTokens(user._id, req, 'password');
 
     res.status(200).json({
       success: true,
-      token,
+      ...tokens,
       user: {
         id: user._id,
         name: user.fullName,
@@ -169,52 +249,45 @@ const googleAuth = async (req, res) => {
     const { credential } = req.body;
 
     // Verify the Google ID token
-    const ticket = await client.verifyIdToken({
-      idToken: credential,
-      audience: process.env.GOOGLE_CLIENT_ID,
-    });
-
-    const payload = ticket.getPayload();
-    const { email, name, picture, sub: googleId } = payload;
+    const payload = await verifyGoogleIdentity({ credential });
+    const { email, name, picture, sub: googleId, email_verified: googleEmailVerified } = payload;
 
     // Check if user exists
-    let user = await User.findOne({ email: email.toLowerCase() });
+    const account = await findGoogleAccount(googleId, email);
+    if (account.conflict) {
+      return googleConflictResponse(res);
+    }
+    let user = account.user;
 
-    if (user) {
-      // User exists, update Google ID if not present
-      if (!user.googleId) {
-        user.googleId = googleId;
-        user.profilePicture = picture;
-        await user.save();
-      }
-    } else {
-      // Create new user
+    if (!user) {
+      // Create new user; Google-only accounts have no password until the user sets one
       user = await User.create({
         fullName: name,
         email: email.toLowerCase(),
         googleId: googleId,
+        authProviders: ['google'],
         profilePicture: picture,
-        // Generate a random password for Google users (not used)
-        password: Math.random().toString(36).substring(7) + Math.random().toString(36).substring(7)
+        // Google has already confirmed the address
+        emailVerified: googleEmailVerified !== false,
+        emailVerifiedAt: googleEmailVerified !== false ? new Date() : null
       });
 
-      // Create UserData profile for new user
+      // Create UserData profile for new user (preferences start at their defaults)
       await UserData.create({
         userId: user._id,
-        preferences: {
-          theme: 'light',
-          notifications: true,
-          units: 'metric'
-        }
+        currentOdometer: 0,
+        activeTrip: null
       });
+    } else {
+      await cancelScheduledDeletion(user, req);
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Start a session: short-lived access token plus rotating refresh token
+    const tokens = await issueTokens(user._id, req, 'google');
 
     res.status(200).json({
       success: true,
-      token,
+      ...tokens,
       user: {
         id: user._id,
         name: user.fullName,
@@ -245,61 +318,46 @@ const googleCallback = async (req, res) => {
       });
     }
 
-    // Exchange code for tokens
-    const { tokens } = await client.getToken({
-      code,
-      client_id: process.env.GOOGLE_CLIENT_ID,
-      client_secret: process.env.GOOGLE_CLIENT_SECRET,
-      redirect_uri: process.env.GOOGLE_REDIRECT_URI || 'http://localhost:8080/auth/callback',
-      grant_type: 'authorization_code'
-    });
-
-    // Verify the ID token
-    const ticket = await client.verifyIdToken({
-      idToken: tokens.id_token,
-      audience: process.env.GOOGLE_CLIENT_ID,
-    });
-
-    const payload = ticket.getPayload();
-    const { email, name, picture, sub: googleId } = payload;
+    // Exchange code for tokens and verify the ID token
+    const payload = await verifyGoogleIdentity({ code });
+    const { email, name, picture, sub: googleId, email_verified: googleEmailVerified } = payload;
 
     // Check if user exists
-    let user = await User.findOne({ email: email.toLowerCase() });
+    const account = await findGoogleAccount(googleId, email);
+    if (account.conflict) {
+      return googleConflictResponse(res);
+    }
+    let user = account.user;
 
-    if (user) {
-      // User exists, update Google ID if not present
-      if (!user.googleId) {
-        user.googleId = googleId;
-        user.profilePicture = picture;
-        await user.save();
-      }
-    } else {
-      // Create new user
+    if (!user) {
+      // Create new user; Google-only accounts have no password until the user sets one
       user = await User.create({
         fullName: name,
         email: email.toLowerCase(),
         googleId: googleId,
+        authProviders: ['google'],
         profilePicture: picture,
-        // Generate a random password for Google users (not used)
-        password: Math.random().toString(36).slice(-8)
+        // Google has already confirmed the address
+        emailVerified: googleEmailVerified !== false,
+        emailVerifiedAt: googleEmailVerified !== false ? new Date() : null
       });
 
       // Create corresponding UserData
       await UserData.create({
         userId: user._id,
-        totalTrips: 0,
-        totalDistance: 0,
-        totalDuration: 0,
-        totalExpenses: 0
+        currentOdometer: 0,
+        activeTrip: null
       });
+    } else {
+      await cancelScheduledDeletion(user, req);
     }
 
-    // Generate JWT token
-    const token = generateToken(user._id);
+    // Start a session: short-lived access token plus rotating refresh token
+    const tokens = await issueTokens(user._id, req, 'google');
 
     res.status(200).json({
       success: true,
-      token,
+      ...tokens,
       user: {
         id: user._id,
         name: user.fullName,
@@ -322,14 +380,19 @@ const googleCallback = async (req, res) => {
 // @access  Private
 const getMe = async (req, res) => {
   try {
-    const user = await User.findById(req.user.id);
+    const user = await User.findById(req.user.id).select('+password');
+    const preferences = await UserData.getPreferences(req.user.id);
     
     res.status(200).json({
       success: true,
       user: {
         id: user._id,
         name: user.fullName,
-        email: user.email
+        email: user.email,
+        profilePicture: user.profilePicture,
+        emailVerified: user.emailVerified,
+        authProviders: user.getAuthProviders(),
+        preferences
       }
     });
   } catch (error) {
@@ -341,11 +404,640 @@ const getMe = async (req, res) => {
   }
 };
 
+// @desc    Update profile (name, profile picture)
+// @route   PATCH /api/auth/me
+// @access  Private
+const updateMe = async (req, res) => {
+  try {
+    const { name, profilePicture } = req.body;
+    const user = await User.findById(req.user.id);
+
+    if (name !== undefined) {
+      const fullName = String(name || '').trim();
+      if (fullName.length < 2 || fullName.length > 100) {
+        return res.status(400).json({
+          success: false,
+          error: 'Name must be between 2 and 100 characters long'
+        });
+      }
+      user.fullName = fullName;
+    }
+
+    if (profilePicture !== undefined) {
+      if (profilePicture === null || profilePicture === '') {
+        user.profilePicture = null;
+      } else if (typeof profilePicture !== 'string' || profilePicture.length > 2000
+        || !/^https:\/\/\S+$/i.test(profilePicture)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Profile picture must be an https URL'
+        });
+      } else {
+        user.profilePicture = profilePicture;
+      }
+    }
+
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      user: {
+        id: user._id,
+        name: user.fullName,
+        email: user.email,
+        profilePicture: user.profilePicture
+      }
+    });
+  } catch (error) {
+    console.error('Update user error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while updating profile'
+    });
+  }
+};
+
+// @desc    Exchange a refresh token for new tokens
+// @route   POST /api/auth/refresh
+// @access  Public
+const refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        error: 'Refresh token is required'
+      });
+    }
+
+    const { tokens, error } = await rotateRefreshToken(refreshToken, req);
+    if (error) {
+      return res.status(401).json({
+        success: false,
+        error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      ...tokens
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error during token refresh'
+    });
+  }
+};
+
+// @desc    Log out the current session
+// @route   POST /api/auth/logout
+// @access  Private
+const logout = async (req, res) => {
+  try {
+    if (req.authSession) {
+      await Session.revoke({ _id: req.authSession._id }, 'logout');
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error during logout'
+    });
+  }
+};
+
+// @desc    List active sessions (signed-in devices)
+// @route   GET /api/auth/sessions
+// @access  Private
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      userId: req.user.id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    const currentId = req.authSession ? String(req.authSession._id) : null;
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: sessions.map((session) => ({
+        ...session.toJSON(),
+        current: String(session._id) === currentId
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching sessions'
+    });
+  }
+};
+
+// @desc    Revoke a session
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+const revokeSession = async (req, res) => {
+  try {
+    const session = await Session.findActive(req.params.id);
+
+    if (!session || String(session.userId) !== String(req.user.id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+
+    await Session.revoke({ _id: session._id }, 'revoked');
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while revoking session'
+    });
+  }
+};
+
+// @desc    Revoke all sessions except the current one
+// @route   DELETE /api/auth/sessions
+// @access  Private
+const revokeOtherSessions = async (req, res) => {
+  try {
+    const filter = { userId: req.user.id };
+    if (req.authSession) filter._id = { $ne: req.authSession._id };
+
+    const result = await Session.revoke(filter, 'revoked');
+
+    res.status(200).json({
+      success: true,
+      revoked: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while revoking sessions'
+    });
+  }
+};
+
+// Forgot-password answers take at least this long whether or not the address has an
+// account, so the time spent sending the mail does not reveal which ones do
+const FORGOT_PASSWORD_MIN_RESPONSE_MS = 2000;
+
+// @desc    Request a password reset email
+// @route   POST /api/auth/forgot-password
+// @access  Public
+const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide email'
+      });
+    }
+
+    // Awaited so the mail is out before the response (serverless instances may freeze
+    // afterwards); the padding below keeps known and unknown addresses equally slow
+    const minimumDelay = new Promise((resolve) => setTimeout(resolve, FORGOT_PASSWORD_MIN_RESPONSE_MS));
+    const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+    if (user) {
+      try {
+        await sendPasswordResetEmail(user);
+      } catch (mailErr) {
+        // A failing transport must not reveal that the account exists either
+        console.warn('Failed to send password reset email:', mailErr?.message || mailErr);
+      }
+    }
+    await minimumDelay;
+
+    // Same answer either way so the endpoint cannot be used to probe for accounts
+    res.status(200).json({
+      success: true,
+      message: 'If an account exists for this email, a reset link has been sent'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while requesting password reset'
+    });
+  }
+};
+
+// @desc    Reset password with an emailed token
+// @route   POST /api/auth/reset-password
+// @access  Public
+const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide token and new password'
+      });
+    }
+
+    if (password.length < 6) {
+      return res.status(400).json({
+        success: false,
+        error: 'Password must be at least 6 characters long'
+      });
+    }
+
+    const record = await AuthToken.consume(token, 'password_reset');
+    const user = record ? await User.findById(record.userId).select('+password') : null;
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        error: 'Reset link is invalid or has expired'
+      });
+    }
+
+    user.password = password;
+    user.enableAuthProvider('password');
+    // Receiving the link proves the user controls the address
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    // Sign out every device that may have used the old password
+    await Session.revoke({ userId: user._id }, 'password_changed');
+    await loginAttempts.clear(req, user.email);
+
+    res.status(200).json({
+      success: true,
+      message: 'Password has been reset, please log in'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while resetting password'
+    });
+  }
+};
+
+// @desc    Confirm an email address with an emailed token
+// @route   POST /api/auth/verify-email
+// @access  Public
+const verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide verification token'
+      });
+    }
+
+    const record = await AuthToken.consume(token, 'email_verification');
+    const user = record
+      ? await User.findByIdAndUpdate(
+        record.userId,
+        { $set: { emailVerified: true, emailVerifiedAt: new Date() } },
+        { new: true }
+      )
+      : null;
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        error: 'Verification link is invalid or has expired'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Email verified successfully',
+      user: {
+        id: user._id,
+        name: user.fullName,
+        email: user.email,
+        emailVerified: user.emailVerified
+      }
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while verifying email'
+    });
+  }
+};
+
+// @desc    Send a new verification email
+// @route   POST /api/auth/verify-email/resend
+// @access  Private
+const resendVerification = async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email is already verified'
+      });
+    }
+
+    await sendVerificationEmail(req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while sending verification email'
+    });
+  }
+};
+
+// @desc    Link a Google account to the signed-in user
+// @route   POST /api/auth/link/google
+// @access  Private
+const linkGoogle = async (req, res) => {
+  try {
+    const { credential, code } = req.body;
+
+    if (!credential && !code) {
+      return res.status(400).json({
+        success: false,
+        error: 'Google credential or authorization code is required'
+      });
+    }
+
+    let payload;
+    try {
+      payload = await verifyGoogleIdentity({ credential, code });
+    } catch (googleErr) {
+      return res.status(400).json({
+        success: false,
+        error: 'Google authentication failed'
+      });
+    }
+
+    const user = await User.findById(req.user.id).select('+password');
+
+    const owner = await User.findOne({ googleId: payload.sub });
+    if (owner && String(owner._id) !== String(user._id)) {
+      return res.status(409).json({
+        success: false,
+        error: 'This Google account is already linked to another user'
+      });
+    }
+
+    user.googleId = payload.sub;
+    user.enableAuthProvider('google');
+    if (!user.profilePicture && payload.picture) {
+      user.profilePicture = payload.picture;
+    }
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      authProviders: user.getAuthProviders()
+    });
+  } catch (error) {
+    console.error('Link Google error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while linking Google account'
+    });
+  }
+};
+
+// @desc    Unlink Google from the signed-in user
+// @route   DELETE /api/auth/link/google
+// @access  Private
+const unlinkGoogle = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('+password');
+
+    if (!user.hasAuthProvider('google')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Google is not linked to this account'
+      });
+    }
+
+    // Never remove the last way to sign in
+    if (!user.hasAuthProvider('password') || !user.password) {
+      return res.status(400).json({
+        success: false,
+        error: 'Set a password before unlinking Google, or you will not be able to sign in'
+      });
+    }
+
+    user.googleId = undefined;
+    user.disableAuthProvider('google');
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      authProviders: user.getAuthProviders()
+    });
+  } catch (error) {
+    console.error('Unlink Google error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while unlinking Google account'
+    });
+  }
+};
+
+// @desc    Set a password (Google-only accounts) or change it
+// @route   PUT /api/auth/password
+// @access  Private
+const setPassword = async (req, res) => {
+  try {
+    const { password, currentPassword } = req.body;
+
+    if (!password || password.length < 6) {
+      return res.status(400).json({
+        success: false,
+        error: 'Password must be at least 6 characters long'
+      });
+    }
+
+    const user = await User.findById(req.user.id).select('+password');
+
+    // Replacing an existing password always requires the current one, however this session
+    // signed in; only an account without a password can set its first one directly
+    if (user.password) {
+      const isMatch = !!currentPassword && await user.correctPassword(currentPassword, user.password);
+      if (!isMatch) {
+        return res.status(401).json({
+          success: false,
+          error: 'Current password is incorrect'
+        });
+      }
+    }
+
+    user.password = password;
+    user.enableAuthProvider('password');
+    await user.save();
+
+    // Sign out other devices that may have used the old password
+    const others = { userId: user._id };
+    if (req.authSession) others._id = { $ne: req.authSession._id };
+    await Session.revoke(others, 'password_changed');
+
+    res.status(200).json({
+      success: true,
+      authProviders: user.getAuthProviders()
+    });
+  } catch (error) {
+    console.error('Set password error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while setting password'
+    });
+  }
+};
+
+// @desc    Download all personal data as one JSON file
+// @route   GET /api/auth/me/export
+// @access  Private
+const exportMyData = async (req, res) => {
+  try {
+    await AuditLog.record(req.user._id, 'data_export', req);
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.set('Content-Type', 'application/json; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="trip-metrics-export-${date}.json"`);
+    res.status(200);
+    await writeAccountExport(req.user._id, res);
+    res.end();
+  } catch (error) {
+    if (isPrematureClose(error)) return;
+    console.error('Export account data error:', error);
+    if (!res.headersSent) {
+      return res.status(500).json({
+        success: false,
+        error: 'Server error while exporting account data'
+      });
+    }
+    res.destroy(error);
+  }
+};
+
+// @desc    Delete the account and all its data (after ACCOUNT_DELETION_GRACE_DAYS, if set)
+// @route   DELETE /api/auth/me
+// @access  Private
+const deleteMe = async (req, res) => {
+  try {
+    const { password, credential, code } = req.body || {};
+    const user = await User.findById(req.user.id).select('+password');
+
+    // Re-authenticate: the password if the account has one, otherwise Google
+    if (user.hasAuthProvider('password') && user.password) {
+      const lockedUntil = await loginAttempts.lockedUntil(req, user.email);
+      if (lockedUntil) {
+        return tooManyRequests(res, lockedUntil, 'Too many failed login attempts, please try again later');
+      }
+
+      const isMatch = !!password && await user.correctPassword(password, user.password);
+      if (!isMatch) {
+        await loginAttempts.recordFailure(req, user.email);
+        return res.status(401).json({
+          success: false,
+          error: 'Please confirm your password to delete your account'
+        });
+      }
+    } else {
+      let payload = null;
+      if (credential || code) {
+        try {
+          payload = await verifyGoogleIdentity({ credential, code });
+        } catch (googleErr) {
+          payload = null;
+        }
+      }
+      if (!payload || payload.sub !== user.googleId) {
+        return res.status(401).json({
+          success: false,
+          error: 'Please sign in with Google again to delete your account'
+        });
+      }
+    }
+
+    const graceMs = getDeletionGraceMs();
+    if (graceMs > 0) {
+      user.deletionScheduledFor = new Date(Date.now() + graceMs);
+      await user.save();
+      await Session.revoke({ userId: user._id }, 'account_deleted');
+      // Public links and live invitations stop working straight away; cancelling does not bring them back
+      await TripShare.updateMany({ userId: user._id, revokedAt: null }, { $set: { revokedAt: new Date() } });
+      await TripWatcher.updateMany({ userId: user._id, revokedAt: null }, { $set: { revokedAt: new Date() } });
+      await AuditLog.record(user._id, 'account_deletion_scheduled', req, {
+        deletionScheduledFor: user.deletionScheduledFor
+      });
+
+      return res.status(202).json({
+        success: true,
+        message: 'Your account will be deleted. Sign in again before then to cancel.',
+        deletionScheduledFor: user.deletionScheduledFor
+      });
+    }
+
+    const counts = await deleteAccountData(user._id);
+    await AuditLog.record(user._id, 'account_deleted', req, counts);
+
+    res.status(200).json({
+      success: true,
+      message: 'Your account and all its data have been deleted'
+    });
+  } catch (error) {
+    console.error('Delete account error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while deleting account'
+    });
+  }
+};
+
 // Routes
 router.post('/register', register);
 router.post('/login', login);
 router.post('/google', googleAuth);
 router.post('/google/callback', googleCallback);
 router.get('/me', protect, getMe);
+router.patch('/me', protect, updateMe);
+router.get('/me/export', protect, exportMyData);
+router.delete('/me', protect, deleteMe);
+router.post('/refresh', refresh);
+router.post('/forgot-password', forgotPassword);
+router.post('/reset-password', resetPassword);
+router.post('/verify-email', verifyEmail);
+router.post('/verify-email/resend', protect, resendVerification);
+router.post('/link/google', protect, linkGoogle);
+router.delete('/link/google', protect, unlinkGoogle);
+router.put('/password', protect, setPassword);
+router.post('/logout', protect, logout);
+router.get('/sessions', protect, getSessions);
+router.delete('/sessions', protect, revokeOtherSessions);
+router.delete('/sessions/:id', protect, revokeSession);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,387 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Expense = require('../models/Expense');
+const Trip = require('../models/Trip');
+const Vehicle = require('../models/Vehicle');
+const { protect } = require('../middleware/auth');
+const { parseDateRange, rangeCondition } = require('../utils/dateRange');
+const { getMileageCurrency } = require('../utils/mileageRates');
+const { calculateFuelEconomy } = require('../utils/fuelEconomy');
+const { toKm, convertExpense } = require('../utils/units');
+const { preferencesFor } = require('../utils/preferences');
+const { round } = require('../utils/numbers');
+
+const router = express.Router();
+
+// Apply auth middleware to all routes
+router.use(protect);
+
+// Pick editable expense fields from a request body; odometer readings arrive in the user's units.
+// Returns { fields } or { error } for invalid values.
+const pickExpenseFields = (body, units) => {
+  const fields = {};
+  const { type, amount, currency, litres, odometer, fullTank, date, receiptRef, notes } = body || {};
+
+  if (type !== undefined) {
+    if (!Expense.TYPES.includes(type)) {
+      return { error: `Expense type must be one of: ${Expense.TYPES.join(', ')}` };
+    }
+    fields.type = type;
+  }
+  for (const [key, value] of [['amount', amount], ['litres', litres], ['odometer', odometer]]) {
+    if (value === undefined) continue;
+    // null clears the optional readings; every expense needs an amount
+    if (value === null && key !== 'amount') {
+      fields[key] = undefined;
+      continue;
+    }
+    if (value === null || !(Number(value) >= 0)) {
+      return { error: `${key} must be a non-negative number` };
+    }
+    fields[key] = key === 'odometer' ? toKm(Number(value), units) : Number(value);
+  }
+  if (currency !== undefined) {
+    if (!/^[A-Za-z]{3}$/.test(String(currency))) {
+      return { error: 'Currency must be a 3-letter ISO code' };
+    }
+    fields.currency = String(currency).toUpperCase();
+  }
+  if (fullTank !== undefined) fields.fullTank = !!fullTank;
+  if (date !== undefined) {
+    const parsed = new Date(date);
+    if (isNaN(parsed.getTime())) return { error: 'Invalid date' };
+    fields.date = parsed;
+  }
+  if (receiptRef !== undefined) fields.receiptRef = receiptRef || undefined;
+  if (notes !== undefined) fields.notes = notes || undefined;
+  return { fields };
+};
+
+// Resolve the trip / vehicle an expense is recorded against.
+// A trip implies its vehicle; with neither, the user's default vehicle is used.
+// Returns { trip, vehicle } or { status, error }.
+const resolveTargets = async (userId, { tripId, vehicleId }) => {
+  let trip = null;
+  if (tripId) {
+    trip = mongoose.isValidObjectId(tripId)
+      ? await Trip.findOne({ _id: tripId, userId }).select('vehicleId')
+      : null;
+    if (!trip) return { status: 404, error: 'Trip not found' };
+  }
+
+  const vehicle = await Vehicle.resolveForUser(userId, vehicleId || trip?.vehicleId);
+  if (!vehicle) return { status: 404, error: 'Vehicle not found' };
+
+  return { trip, vehicle };
+};
+
+const findOwnExpense = (req) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return null;
+  return Expense.findOne({ _id: req.params.id, userId: req.user.id });
+};
+
+// @desc    Get expenses for user
+// @route   GET /api/expenses?tripId=&vehicleId=&type=&from=&to=
+// @access  Private
+const getExpenses = async (req, res) => {
+  try {
+    const { tripId, vehicleId, type, limit = 50, page = 1 } = req.query;
+
+    const { range, error } = parseDateRange(req.query.from, req.query.to);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const query = { userId: req.user.id };
+    for (const [key, value] of [['tripId', tripId], ['vehicleId', vehicleId]]) {
+      if (!value) continue;
+      if (!mongoose.isValidObjectId(value)) {
+        return res.status(400).json({ success: false, error: `Invalid ${key}` });
+      }
+      query[key] = value;
+    }
+    if (type) query.type = type;
+    const date = rangeCondition(range);
+    if (date) query.date = date;
+
+    const skip = (page - 1) * limit;
+
+    const expenses = await Expense.find(query)
+      .sort({ date: -1 })
+      .limit(limit * 1)
+      .skip(skip);
+
+    const total = await Expense.countDocuments(query);
+    const { units } = await preferencesFor(req);
+
+    res.status(200).json({
+      success: true,
+      count: expenses.length,
+      total,
+      page: parseInt(page),
+      pages: Math.ceil(total / limit),
+      data: expenses.map((expense) => convertExpense(expense, units))
+    });
+  } catch (error) {
+    console.error('Get expenses error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching expenses'
+    });
+  }
+};
+
+// @desc    Expense totals and fuel economy
+// @route   GET /api/expenses/stats?vehicleId=&from=&to=
+// @access  Private
+const getExpenseStats = async (req, res) => {
+  try {
+    const { vehicleId } = req.query;
+
+    const { range, error } = parseDateRange(req.query.from, req.query.to);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const match = { userId: new mongoose.Types.ObjectId(String(req.user.id)) };
+    if (vehicleId) {
+      if (!mongoose.isValidObjectId(vehicleId)) {
+        return res.status(400).json({ success: false, error: 'Invalid vehicleId' });
+      }
+      match.vehicleId = new mongoose.Types.ObjectId(String(vehicleId));
+    }
+    const date = rangeCondition(range);
+    if (date) match.date = date;
+
+    // Amounts are only summed within a currency
+    const totals = await Expense.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { currency: '$currency', type: '$type' },
+          count: { $sum: 1 },
+          amount: { $sum: '$amount' },
+          litres: { $sum: { $ifNull: ['$litres', 0] } }
+        }
+      },
+      { $sort: { '_id.currency': 1, '_id.type': 1 } }
+    ]);
+
+    const byCurrency = {};
+    for (const row of totals) {
+      const { currency, type } = row._id;
+      if (!byCurrency[currency]) byCurrency[currency] = { currency, amount: 0, count: 0, byType: {} };
+      byCurrency[currency].amount += row.amount;
+      byCurrency[currency].count += row.count;
+      byCurrency[currency].byType[type] = { count: row.count, amount: round(row.amount), litres: round(row.litres) };
+    }
+
+    const fillUps = await Expense.find({ ...match, type: 'fuel' })
+      .select('vehicleId odometer litres fullTank date amount currency')
+      .lean();
+
+    const perVehicle = new Map();
+    for (const fill of fillUps) {
+      const key = String(fill.vehicleId);
+      if (!perVehicle.has(key)) perVehicle.set(key, []);
+      perVehicle.get(key).push(fill);
+    }
+
+    const vehicles = await Vehicle.find({ _id: { $in: Array.from(perVehicle.keys()) }, userId: req.user.id })
+      .select('name plate fuelType currentOdometer')
+      .lean();
+    const vehicleById = new Map(vehicles.map((v) => [String(v._id), v]));
+
+    // Fuel economy is always reported in km and L/100km, the units odometers are stored in
+    const fuelEconomy = Array.from(perVehicle.entries()).map(([id, fills]) => {
+      const economy = calculateFuelEconomy(fills);
+      const vehicle = vehicleById.get(id);
+      return {
+        vehicleId: id,
+        vehicle: vehicle ? { name: vehicle.name, plate: vehicle.plate, fuelType: vehicle.fuelType } : null,
+        fillUps: economy.fillUps,
+        distance: round(economy.distance, 1),
+        litres: round(economy.litres),
+        litresPer100km: economy.litresPer100km == null ? null : round(economy.litresPer100km),
+        segments: economy.segments.map((s) => ({ ...s, litres: round(s.litres), litresPer100km: round(s.litresPer100km) }))
+      };
+    });
+
+    res.status(200).json({
+      success: true,
+      period: { from: range.start || null, to: range.end || null },
+      data: {
+        totals: Object.values(byCurrency).map((c) => ({ ...c, amount: round(c.amount) })),
+        fuelEconomy
+      }
+    });
+  } catch (error) {
+    console.error('Get expense stats error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching expense stats'
+    });
+  }
+};
+
+// @desc    Get single expense
+// @route   GET /api/expenses/:id
+// @access  Private
+const getExpense = async (req, res) => {
+  try {
+    const expense = await findOwnExpense(req);
+
+    if (!expense) {
+      return res.status(404).json({
+        success: false,
+        error: 'Expense not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: convertExpense(expense, (await preferencesFor(req)).units)
+    });
+  } catch (error) {
+    console.error('Get expense error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching expense'
+    });
+  }
+};
+
+// @desc    Create expense
+// @route   POST /api/expenses
+// @access  Private
+const createExpense = async (req, res) => {
+  try {
+    const { fields, error } = pickExpenseFields(req.body, (await preferencesFor(req)).units);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+    if (!fields.type || fields.amount === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide expense type and amount'
+      });
+    }
+
+    const targets = await resolveTargets(req.user.id, req.body);
+    if (targets.error) {
+      return res.status(targets.status).json({ success: false, error: targets.error });
+    }
+    const { trip, vehicle } = targets;
+
+    // Fill-ups without a reading use the odometer that trips keep up to date
+    if (fields.type === 'fuel' && fields.odometer === undefined) {
+      fields.odometer = vehicle.currentOdometer;
+    }
+
+    const { currency } = await preferencesFor(req);
+    const expense = await Expense.create({
+      currency: currency || getMileageCurrency(),
+      ...fields,
+      userId: req.user.id,
+      tripId: trip ? trip._id : null,
+      vehicleId: vehicle._id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: convertExpense(expense, (await preferencesFor(req)).units)
+    });
+  } catch (error) {
+    console.error('Create expense error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while creating expense'
+    });
+  }
+};
+
+// @desc    Update expense
+// @route   PUT /api/expenses/:id
+// @access  Private
+const updateExpense = async (req, res) => {
+  try {
+    const expense = await findOwnExpense(req);
+
+    if (!expense) {
+      return res.status(404).json({
+        success: false,
+        error: 'Expense not found'
+      });
+    }
+
+    const { fields, error } = pickExpenseFields(req.body, (await preferencesFor(req)).units);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    if (req.body.tripId !== undefined || req.body.vehicleId !== undefined) {
+      const targets = await resolveTargets(req.user.id, {
+        tripId: req.body.tripId !== undefined ? req.body.tripId : expense.tripId,
+        vehicleId: req.body.vehicleId
+      });
+      if (targets.error) {
+        return res.status(targets.status).json({ success: false, error: targets.error });
+      }
+      fields.tripId = targets.trip ? targets.trip._id : null;
+      fields.vehicleId = targets.vehicle._id;
+    }
+
+    Object.assign(expense, fields);
+    await expense.save();
+
+    res.status(200).json({
+      success: true,
+      data: convertExpense(expense, (await preferencesFor(req)).units)
+    });
+  } catch (error) {
+    console.error('Update expense error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while updating expense'
+    });
+  }
+};
+
+// @desc    Delete expense
+// @route   DELETE /api/expenses/:id
+// @access  Private
+const deleteExpense = async (req, res) => {
+  try {
+    const expense = await findOwnExpense(req);
+
+    if (!expense) {
+      return res.status(404).json({
+        success: false,
+        error: 'Expense not found'
+      });
+    }
+
+    await Expense.deleteOne({ _id: expense._id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Expense deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete expense error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while deleting expense'
+    });
+  }
+};
+
+// Routes
+router.get('/', getExpenses);
+router.get('/stats', getExpenseStats);
+router.post('/', createExpense);
+router.get('/:id', getExpense);
+router.put('/:id', updateExpense);
+router.delete('/:id', deleteExpense);
+
+module.exports = router;
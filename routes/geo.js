@@ -0,0 +1,95 @@
+const express = require('express');
+const { protect } = require('../middleware/auth');
+const { reverseLookup, searchPlaces } = require('../utils/geocoder');
+
+const router = express.Router();
+
+// Apply auth middleware to all routes
+router.use(protect);
+
+const MAX_SEARCH_RESULTS = 10;
+
+const geocoderUnavailable = (res) => res.status(503).json({
+  success: false,
+  error: 'Geocoding service is unavailable, please try again later'
+});
+
+// @desc    Search addresses and places (for address pickers, e.g. trip start/end locations)
+// @route   GET /api/geo/search?q=&limit=
+// @access  Private
+const search = async (req, res) => {
+  try {
+    const q = String(req.query.q || '').trim();
+    if (q.length < 3 || q.length > 200) {
+      return res.status(400).json({
+        success: false,
+        error: 'Search query must be between 3 and 200 characters'
+      });
+    }
+
+    const limit = req.query.limit === undefined ? 5 : parseInt(req.query.limit, 10);
+    if (!(limit >= 1 && limit <= MAX_SEARCH_RESULTS)) {
+      return res.status(400).json({
+        success: false,
+        error: `Limit must be between 1 and ${MAX_SEARCH_RESULTS}`
+      });
+    }
+
+    const { results, unavailable } = await searchPlaces(q, { limit });
+    if (unavailable) return geocoderUnavailable(res);
+
+    res.status(200).json({
+      success: true,
+      count: results.length,
+      data: results
+    });
+  } catch (error) {
+    console.error('Geocode search error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while searching places'
+    });
+  }
+};
+
+// @desc    Address of a point
+// @route   GET /api/geo/reverse?lat=&lon=
+// @access  Private
+const reverse = async (req, res) => {
+  try {
+    const lat = Number(req.query.lat);
+    const lon = Number(req.query.lon);
+    if (!req.query.lat || !req.query.lon || !isFinite(lat) || !isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide valid lat and lon'
+      });
+    }
+
+    const { result, unavailable } = await reverseLookup(lat, lon);
+    if (unavailable) return geocoderUnavailable(res);
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'No address found for this location'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Reverse geocode error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while looking up address'
+    });
+  }
+};
+
+// Routes
+router.get('/search', search);
+router.get('/reverse', reverse);
+
+module.exports = router;
@@ -0,0 +1,154 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const TripWatcher = require('../models/TripWatcher');
+const { protect } = require('../middleware/auth');
+const { streamLiveTrip } = require('../utils/liveTrips');
+
+const router = express.Router();
+
+const WATCHER_MAX_HOURS = 365 * 24;
+
+// @desc    Follow a user's active trip with a watcher invitation (server-sent events).
+//          EventSource cannot send headers, so the invitation token is a query parameter.
+// @route   GET /api/live/stream?token=
+// @access  Public (invitation token)
+const streamAsWatcher = async (req, res) => {
+  try {
+    const watcher = await TripWatcher.findByToken(req.query.token);
+    if (!watcher) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invitation not found or has been revoked'
+      });
+    }
+
+    watcher.lastConnectedAt = new Date();
+    await watcher.save();
+
+    await streamLiveTrip(req, res, {
+      userId: watcher.userId,
+      waitForTrip: true,
+      checkAccess: () => TripWatcher.isActive(watcher._id)
+    });
+  } catch (error) {
+    console.error('Watcher stream error:', error);
+    if (!res.headersSent) {
+      return res.status(500).json({
+        success: false,
+        error: 'Server error while streaming trip'
+      });
+    }
+    res.end();
+  }
+};
+
+// @desc    Invite a contact to follow your active trips live
+// @route   POST /api/live/watchers
+// @access  Private
+const createWatcher = async (req, res) => {
+  try {
+    const { name, expiresInHours } = req.body || {};
+
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide a name for this watcher'
+      });
+    }
+
+    let ttlMs = null;
+    if (expiresInHours !== undefined && expiresInHours !== null && expiresInHours !== '') {
+      const hours = Number(expiresInHours);
+      if (!isFinite(hours) || hours <= 0 || hours > WATCHER_MAX_HOURS) {
+        return res.status(400).json({
+          success: false,
+          error: `expiresInHours must be between 0 and ${WATCHER_MAX_HOURS}`
+        });
+      }
+      ttlMs = hours * 60 * 60 * 1000;
+    }
+
+    const { watcher, token } = await TripWatcher.issue(req.user.id, { name: String(name).trim(), ttlMs });
+
+    // The token is only shown now; it cannot be recovered later
+    res.status(201).json({
+      success: true,
+      data: {
+        ...watcher.toJSON(),
+        token,
+        path: `/api/live/stream?token=${encodeURIComponent(token)}`
+      }
+    });
+  } catch (error) {
+    console.error('Create watcher error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while creating watcher invitation'
+    });
+  }
+};
+
+// @desc    List watcher invitations
+// @route   GET /api/live/watchers
+// @access  Private
+const getWatchers = async (req, res) => {
+  try {
+    const watchers = await TripWatcher.find({ userId: req.user.id }).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: watchers.length,
+      data: watchers
+    });
+  } catch (error) {
+    console.error('Get watchers error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching watchers'
+    });
+  }
+};
+
+// @desc    Revoke a watcher invitation; open streams close on their next check
+// @route   DELETE /api/live/watchers/:id
+// @access  Private
+const revokeWatcher = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Watcher not found'
+      });
+    }
+
+    const watcher = await TripWatcher.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user.id },
+      { $set: { revokedAt: new Date() } },
+      { new: true }
+    );
+    if (!watcher) {
+      return res.status(404).json({
+        success: false,
+        error: 'Watcher not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: watcher
+    });
+  } catch (error) {
+    console.error('Revoke watcher error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while revoking watcher'
+    });
+  }
+};
+
+router.get('/stream', streamAsWatcher);
+router.post('/watchers', protect, createWatcher);
+router.get('/watchers', protect, getWatchers);
+router.delete('/watchers/:id', protect, revokeWatcher);
+
+module.exports = router;
@@ -0,0 +1,55 @@
+const express = require('express');
+const { requireCronSecret } = require('../middleware/cron');
+const { purgeDueDeletions } = require('../utils/accountData');
+const { closeStaleTrips } = require('../utils/staleTrips');
+
+const router = express.Router();
+
+// Scheduled jobs only; see vercel.json for the schedule
+router.use(requireCronSecret);
+
+// @desc    Delete accounts whose deletion grace period has passed
+// @route   GET /api/maintenance/purge-deletions
+// @access  Cron
+const purgeDeletions = async (req, res) => {
+  try {
+    const deleted = await purgeDueDeletions();
+
+    res.status(200).json({
+      success: true,
+      deleted
+    });
+  } catch (error) {
+    console.error('Purge deletions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while purging deleted accounts'
+    });
+  }
+};
+
+// @desc    End active trips with no recent route points and reconcile UserData.activeTrip
+// @route   GET /api/maintenance/close-stale-trips
+// @access  Cron
+const closeStale = async (req, res) => {
+  try {
+    const { closed, reconciled } = await closeStaleTrips();
+
+    res.status(200).json({
+      success: true,
+      closed,
+      reconciled
+    });
+  } catch (error) {
+    console.error('Close stale trips error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while closing stale trips'
+    });
+  }
+};
+
+router.get('/purge-deletions', purgeDeletions);
+router.get('/close-stale-trips', closeStale);
+
+module.exports = router;
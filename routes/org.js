@@ -0,0 +1,596 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Organization = require('../models/Organization');
+const OrgInvitation = require('../models/OrgInvitation');
+const Trip = require('../models/Trip');
+const User = require('../models/User');
+const UserData = require('../models/UserData');
+const { protect } = require('../middleware/auth');
+const { requireOrgRole } = require('../middleware/orgAccess');
+const { sendMail, frontendUrl } = require('../utils/mailer');
+const { parseDateRange, rangeCondition } = require('../utils/dateRange');
+const { convertTrip, unitLabels } = require('../utils/units');
+const { statsAccumulators, withOverallSpeed, EMPTY_STATS_SUMMARY } = require('../utils/tripStats');
+const { numberFromEnv } = require('../utils/env');
+
+const router = express.Router();
+
+// Apply auth middleware to all routes
+router.use(protect);
+
+const getInvitationTtlMs = () => numberFromEnv('ORG_INVITATION_TTL_DAYS', 7) * 24 * 60 * 60 * 1000;
+
+// Names and emails of the given users, keyed by id
+const loadUsers = async (userIds) => {
+  const users = await User.find({ _id: { $in: userIds } }).select('fullName email profilePicture');
+  return new Map(users.map((u) => [String(u._id), u]));
+};
+
+const memberView = (member, users) => {
+  const user = users.get(String(member.userId));
+  return {
+    userId: member.userId,
+    name: user ? user.fullName : null,
+    email: user ? user.email : null,
+    role: member.role,
+    joinedAt: member.joinedAt
+  };
+};
+
+// Trip categories that stay private to the driver
+const PRIVATE_CATEGORIES = ['personal', 'medical'];
+
+// Trips managers may see: each member's trips since they joined, except trips
+// in a private category or not reviewed yet (auto-detected).
+// Optionally narrowed to one driver.
+const visibleTripsQuery = (org, driverId) => {
+  const members = driverId
+    ? org.members.filter((m) => String(m.userId) === String(driverId))
+    : org.members;
+  return {
+    $or: members.map((m) => ({ userId: m.userId, startTime: { $gte: m.joinedAt } })),
+    category: { $nin: PRIVATE_CATEGORIES },
+    needsReview: { $ne: true }
+  };
+};
+
+// Validate ?driverId= against the organization's members.
+// Returns { driverId } (possibly undefined) or { error }.
+const parseDriverFilter = (org, driverId) => {
+  if (!driverId) return {};
+  if (!mongoose.isValidObjectId(driverId) || !org.getMember(driverId)) {
+    return { error: 'Driver is not a member of this organization' };
+  }
+  return { driverId };
+};
+
+// @desc    Create an organization; the creator becomes its owner
+// @route   POST /api/org
+// @access  Private
+const createOrg = async (req, res) => {
+  try {
+    const name = String(req.body.name || '').trim();
+    if (name.length < 2) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide an organization name'
+      });
+    }
+
+    const org = await Organization.create({
+      name,
+      createdBy: req.user.id,
+      members: [{ userId: req.user.id, role: 'owner' }]
+    });
+
+    res.status(201).json({
+      success: true,
+      data: org
+    });
+  } catch (error) {
+    console.error('Create organization error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while creating organization'
+    });
+  }
+};
+
+// @desc    List the caller's organizations with their role in each
+// @route   GET /api/org
+// @access  Private
+const getMyOrgs = async (req, res) => {
+  try {
+    const orgs = await Organization.findForUser(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      count: orgs.length,
+      data: orgs.map((org) => ({
+        id: org._id,
+        name: org.name,
+        role: org.getMember(req.user.id).role,
+        memberCount: org.members.length,
+        createdAt: org.createdAt
+      }))
+    });
+  } catch (error) {
+    console.error('Get organizations error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching organizations'
+    });
+  }
+};
+
+// @desc    Get an organization and its members
+// @route   GET /api/org/:orgId
+// @access  Private (member)
+const getOrg = async (req, res) => {
+  try {
+    const users = await loadUsers(req.org.members.map((m) => m.userId));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        id: req.org._id,
+        name: req.org.name,
+        role: req.orgMember.role,
+        createdAt: req.org.createdAt,
+        members: req.org.members.map((m) => memberView(m, users))
+      }
+    });
+  } catch (error) {
+    console.error('Get organization error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching organization'
+    });
+  }
+};
+
+// @desc    Rename an organization
+// @route   PUT /api/org/:orgId
+// @access  Private (owner)
+const updateOrg = async (req, res) => {
+  try {
+    const name = String(req.body.name || '').trim();
+    if (name.length < 2) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide an organization name'
+      });
+    }
+
+    req.org.name = name;
+    await req.org.save();
+
+    res.status(200).json({
+      success: true,
+      data: req.org
+    });
+  } catch (error) {
+    console.error('Update organization error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while updating organization'
+    });
+  }
+};
+
+// @desc    Delete an organization (trips stay with their drivers)
+// @route   DELETE /api/org/:orgId
+// @access  Private (owner)
+const deleteOrg = async (req, res) => {
+  try {
+    await OrgInvitation.deleteMany({ orgId: req.org._id });
+    await Organization.deleteOne({ _id: req.org._id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Organization deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete organization error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while deleting organization'
+    });
+  }
+};
+
+// @desc    Invite someone by email. Managers may only invite drivers.
+// @route   POST /api/org/:orgId/invitations
+// @access  Private (owner, manager)
+const createInvitation = async (req, res) => {
+  try {
+    const email = String(req.body.email || '').toLowerCase().trim();
+    const role = req.body.role || 'driver';
+
+    if (!/^\S+@\S+\.\S+$/.test(email)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide a valid email'
+      });
+    }
+    if (!['manager', 'driver'].includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Role must be one of: manager, driver'
+      });
+    }
+    if (role === 'manager' && req.orgMember.role !== 'owner') {
+      return res.status(403).json({
+        success: false,
+        error: 'Only owners can invite managers'
+      });
+    }
+
+    const existing = await User.findOne({ email }).select('_id');
+    if (existing && req.org.getMember(existing._id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'This user is already a member'
+      });
+    }
+
+    const { invitation, token } = await OrgInvitation.issue({
+      orgId: req.org._id,
+      email,
+      role,
+      invitedBy: req.user.id,
+      ttlMs: getInvitationTtlMs()
+    });
+
+    // The invitation stays valid if mail fails; inviting again sends a new link
+    let emailSent = true;
+    try {
+      await sendMail({
+        to: email,
+        subject: `You're invited to join ${req.org.name}`,
+        text: `Hi,\n\n${req.user.fullName} invited you to join ${req.org.name} on Trip Metrics Pro as a ${role}.\nSign in or create an account with this email address, then open:\n${frontendUrl('/org-invitation', token)}\n\nIf you were not expecting this, you can ignore this email.`
+      });
+    } catch (mailErr) {
+      emailSent = false;
+      console.warn('Failed to send organization invitation:', mailErr?.message || mailErr);
+    }
+
+    res.status(201).json({
+      success: true,
+      data: invitation,
+      emailSent
+    });
+  } catch (error) {
+    console.error('Create invitation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while creating invitation'
+    });
+  }
+};
+
+// @desc    List open invitations
+// @route   GET /api/org/:orgId/invitations
+// @access  Private (owner, manager)
+const getInvitations = async (req, res) => {
+  try {
+    const invitations = await OrgInvitation.find({
+      orgId: req.org._id,
+      acceptedAt: null,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: invitations.length,
+      data: invitations
+    });
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching invitations'
+    });
+  }
+};
+
+// @desc    Revoke an invitation
+// @route   DELETE /api/org/:orgId/invitations/:invitationId
+// @access  Private (owner, manager)
+const revokeInvitation = async (req, res) => {
+  try {
+    const invitation = mongoose.isValidObjectId(req.params.invitationId)
+      ? await OrgInvitation.findOneAndUpdate(
+        { _id: req.params.invitationId, orgId: req.org._id, acceptedAt: null, revokedAt: null },
+        { $set: { revokedAt: new Date() } },
+        { new: true }
+      )
+      : null;
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invitation not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: invitation
+    });
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while revoking invitation'
+    });
+  }
+};
+
+// @desc    Accept an invitation as the signed-in user
+// @route   POST /api/org/invitations/accept
+// @access  Private
+const acceptInvitation = async (req, res) => {
+  try {
+    const invitation = await OrgInvitation.findOpen(req.body.token);
+    if (!invitation || invitation.email !== String(req.user.email).toLowerCase()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invitation is invalid, has expired or was sent to another email'
+      });
+    }
+
+    const org = await Organization.findById(invitation.orgId);
+    if (!org) {
+      return res.status(404).json({
+        success: false,
+        error: 'Organization not found'
+      });
+    }
+
+    // Guarded on membership so a double submit cannot add the user twice
+    await Organization.updateOne(
+      { _id: org._id, 'members.userId': { $ne: req.user._id } },
+      { $push: { members: { userId: req.user._id, role: invitation.role, joinedAt: new Date() } } }
+    );
+    invitation.acceptedAt = new Date();
+    await invitation.save();
+
+    const updated = await Organization.findById(org._id);
+    res.status(200).json({
+      success: true,
+      data: {
+        id: updated._id,
+        name: updated.name,
+        role: updated.getMember(req.user.id).role
+      }
+    });
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while accepting invitation'
+    });
+  }
+};
+
+// @desc    Change a member's role
+// @route   PUT /api/org/:orgId/members/:userId
+// @access  Private (owner)
+const updateMember = async (req, res) => {
+  try {
+    const { role } = req.body;
+    if (!Organization.ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Role must be one of: ' + Organization.ROLES.join(', ')
+      });
+    }
+
+    const member = req.org.getMember(req.params.userId);
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        error: 'Member not found'
+      });
+    }
+    if (member.role === 'owner' && role !== 'owner' && req.org.countOwners() === 1) {
+      return res.status(400).json({
+        success: false,
+        error: 'An organization needs at least one owner'
+      });
+    }
+
+    member.role = role;
+    await req.org.save();
+
+    const users = await loadUsers([member.userId]);
+    res.status(200).json({
+      success: true,
+      data: memberView(member, users)
+    });
+  } catch (error) {
+    console.error('Update member error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while updating member'
+    });
+  }
+};
+
+// @desc    Remove a member; any member may remove themselves
+// @route   DELETE /api/org/:orgId/members/:userId
+// @access  Private (owner, or self)
+const removeMember = async (req, res) => {
+  try {
+    const isSelf = String(req.params.userId) === String(req.user.id);
+    if (!isSelf && req.orgMember.role !== 'owner') {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized for this organization'
+      });
+    }
+
+    const member = req.org.getMember(req.params.userId);
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        error: 'Member not found'
+      });
+    }
+    if (member.role === 'owner' && req.org.countOwners() === 1) {
+      return res.status(400).json({
+        success: false,
+        error: 'An organization needs at least one owner; transfer ownership or delete it'
+      });
+    }
+
+    req.org.members = req.org.members.filter((m) => m !== member);
+    await req.org.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Member removed successfully'
+    });
+  } catch (error) {
+    console.error('Remove member error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while removing member'
+    });
+  }
+};
+
+// @desc    Trips across drivers (read-only)
+// @route   GET /api/org/:orgId/trips?driverId=&status=&from=&to=&page=&limit=
+// @access  Private (owner, manager)
+const getOrgTrips = async (req, res) => {
+  try {
+    const { status, limit = 50, page = 1 } = req.query;
+
+    const filter = parseDriverFilter(req.org, req.query.driverId);
+    if (filter.error) {
+      return res.status(400).json({ success: false, error: filter.error });
+    }
+    const { range, error } = parseDateRange(req.query.from, req.query.to);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const query = visibleTripsQuery(req.org, filter.driverId);
+    if (status) query.status = status;
+    const startTime = rangeCondition(range);
+    if (startTime) query.$and = [{ startTime }];
+
+    const skip = (page - 1) * limit;
+    const [trips, total, users, preferences] = await Promise.all([
+      Trip.find(query)
+        .select('-route -lastPoint -lastAccepted')
+        .sort({ startTime: -1 })
+        .limit(limit * 1)
+        .skip(skip),
+      Trip.countDocuments(query),
+      loadUsers(req.org.members.map((m) => m.userId)),
+      UserData.getPreferences(req.user.id)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: trips.length,
+      total,
+      page: parseInt(page),
+      pages: Math.ceil(total / limit),
+      data: trips.map((trip) => {
+        const user = users.get(String(trip.userId));
+        return {
+          ...convertTrip(trip, preferences.units),
+          driver: { id: trip.userId, name: user ? user.fullName : null }
+        };
+      })
+    });
+  } catch (error) {
+    console.error('Get organization trips error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching organization trips'
+    });
+  }
+};
+
+// @desc    Trip statistics across drivers, overall and per driver, in the caller's units
+// @route   GET /api/org/:orgId/stats?driverId=&from=&to=&status=
+// @access  Private (owner, manager)
+const getOrgStats = async (req, res) => {
+  try {
+    const { status = 'completed' } = req.query;
+
+    const filter = parseDriverFilter(req.org, req.query.driverId);
+    if (filter.error) {
+      return res.status(400).json({ success: false, error: filter.error });
+    }
+    const { range, error } = parseDateRange(req.query.from, req.query.to);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const match = visibleTripsQuery(req.org, filter.driverId);
+    if (status !== 'all') match.status = status;
+    const startTime = rangeCondition(range);
+    if (startTime) match.$and = [{ startTime }];
+
+    const [result] = await Trip.aggregate([
+      { $match: match },
+      {
+        $facet: {
+          summary: [{ $group: { _id: null, ...statsAccumulators } }],
+          drivers: [
+            { $group: { _id: '$userId', ...statsAccumulators } },
+            { $sort: { totalDistance: -1 } }
+          ]
+        }
+      }
+    ]);
+
+    const [users, { units }] = await Promise.all([
+      loadUsers(req.org.members.map((m) => m.userId)),
+      UserData.getPreferences(req.user.id)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      period: { from: range.start || null, to: range.end || null },
+      units: unitLabels(units),
+      data: {
+        summary: withOverallSpeed(result.summary[0] || EMPTY_STATS_SUMMARY, units),
+        drivers: result.drivers.map((row) => {
+          const user = users.get(String(row._id));
+          return { driverId: row._id, name: user ? user.fullName : null, ...withOverallSpeed(row, units) };
+        })
+      }
+    });
+  } catch (error) {
+    console.error('Get organization stats error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching organization stats'
+    });
+  }
+};
+
+// Routes
+router.post('/', createOrg);
+router.get('/', getMyOrgs);
+router.post('/invitations/accept', acceptInvitation);
+router.get('/:orgId', requireOrgRole(), getOrg);
+router.put('/:orgId', requireOrgRole('owner'), updateOrg);
+router.delete('/:orgId', requireOrgRole('owner'), deleteOrg);
+router.post('/:orgId/invitations', requireOrgRole('owner', 'manager'), createInvitation);
+router.get('/:orgId/invitations', requireOrgRole('owner', 'manager'), getInvitations);
+router.delete('/:orgId/invitations/:invitationId', requireOrgRole('owner', 'manager'), revokeInvitation);
+router.put('/:orgId/members/:userId', requireOrgRole('owner'), updateMember);
+router.delete('/:orgId/members/:userId', requireOrgRole(), removeMember);
+router.get('/:orgId/trips', requireOrgRole('owner', 'manager'), getOrgTrips);
+router.get('/:orgId/stats', requireOrgRole('owner', 'manager'), getOrgStats);
+
+module.exports = router;
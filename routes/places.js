@@ -0,0 +1,216 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const SavedPlace = require('../models/SavedPlace');
+const Trip = require('../models/Trip');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Apply auth middleware to all routes
+router.use(protect);
+
+// Pick editable place fields from a request body.
+// Returns { fields } or { error } for invalid values.
+const pickPlaceFields = (body) => {
+  const fields = {};
+  const { name, latitude, longitude, radius } = body || {};
+
+  if (name !== undefined) fields.name = name;
+  for (const [key, value] of [['latitude', latitude], ['longitude', longitude], ['radius', radius]]) {
+    if (value === undefined) continue;
+    if (value === null || value === '' || !isFinite(Number(value))) {
+      return { error: `${key.charAt(0).toUpperCase() + key.slice(1)} must be a number` };
+    }
+    fields[key] = Number(value);
+  }
+  return { fields };
+};
+
+const findOwnPlace = (req) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return null;
+  return SavedPlace.findOne({ _id: req.params.id, userId: req.user.id });
+};
+
+// Report Mongoose validation errors (ranges, lengths) as 400s
+const validationMessage = (error) => (
+  error.name === 'ValidationError' ? Object.values(error.errors).map((e) => e.message).join(', ') : null
+);
+
+// @desc    Get all saved places for user
+// @route   GET /api/places
+// @access  Private
+const getPlaces = async (req, res) => {
+  try {
+    const places = await SavedPlace.find({ userId: req.user.id }).sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: places.length,
+      data: places
+    });
+  } catch (error) {
+    console.error('Get places error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching places'
+    });
+  }
+};
+
+// @desc    Get single saved place
+// @route   GET /api/places/:id
+// @access  Private
+const getPlace = async (req, res) => {
+  try {
+    const place = await findOwnPlace(req);
+
+    if (!place) {
+      return res.status(404).json({
+        success: false,
+        error: 'Place not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: place
+    });
+  } catch (error) {
+    console.error('Get place error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching place'
+    });
+  }
+};
+
+// @desc    Create saved place (radius in metres)
+// @route   POST /api/places
+// @access  Private
+const createPlace = async (req, res) => {
+  try {
+    if (!req.body.name || !String(req.body.name).trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide a place name'
+      });
+    }
+    if (req.body.latitude === undefined || req.body.longitude === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide latitude and longitude'
+      });
+    }
+
+    const { fields, error } = pickPlaceFields(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const place = await SavedPlace.create({ ...fields, userId: req.user.id });
+
+    res.status(201).json({
+      success: true,
+      data: place
+    });
+  } catch (error) {
+    const message = validationMessage(error);
+    if (message) {
+      return res.status(400).json({ success: false, error: message });
+    }
+    console.error('Create place error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while creating place'
+    });
+  }
+};
+
+// @desc    Update saved place; renaming relabels the trips matched to it
+// @route   PUT /api/places/:id
+// @access  Private
+const updatePlace = async (req, res) => {
+  try {
+    const place = await findOwnPlace(req);
+
+    if (!place) {
+      return res.status(404).json({
+        success: false,
+        error: 'Place not found'
+      });
+    }
+
+    const { fields, error } = pickPlaceFields(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const previousName = place.name;
+    Object.assign(place, fields);
+    await place.save();
+
+    if (place.name !== previousName) {
+      await Promise.all([
+        Trip.updateMany({ userId: req.user.id, startPlaceId: place._id }, { $set: { startLocation: place.name } }),
+        Trip.updateMany({ userId: req.user.id, endPlaceId: place._id }, { $set: { endLocation: place.name } })
+      ]);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: place
+    });
+  } catch (error) {
+    const message = validationMessage(error);
+    if (message) {
+      return res.status(400).json({ success: false, error: message });
+    }
+    console.error('Update place error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while updating place'
+    });
+  }
+};
+
+// @desc    Delete saved place; matched trips keep their location names
+// @route   DELETE /api/places/:id
+// @access  Private
+const deletePlace = async (req, res) => {
+  try {
+    const place = await findOwnPlace(req);
+
+    if (!place) {
+      return res.status(404).json({
+        success: false,
+        error: 'Place not found'
+      });
+    }
+
+    await Promise.all([
+      Trip.updateMany({ userId: req.user.id, startPlaceId: place._id }, { $set: { startPlaceId: null } }),
+      Trip.updateMany({ userId: req.user.id, endPlaceId: place._id }, { $set: { endPlaceId: null } })
+    ]);
+    await SavedPlace.deleteOne({ _id: place._id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Place deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete place error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while deleting place'
+    });
+  }
+};
+
+// Routes
+router.get('/', getPlaces);
+router.post('/', createPlace);
+router.get('/:id', getPlace);
+router.put('/:id', updatePlace);
+router.delete('/:id', deletePlace);
+
+module.exports = router;
@@ -0,0 +1,170 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Trip = require('../models/Trip');
+const UserData = require('../models/UserData');
+const { protect } = require('../middleware/auth');
+const { parseDateRange, rangeCondition, isValidTimeZone } = require('../utils/dateRange');
+const { getMileageRates, getMileageCurrency, parseRateQuery } = require('../utils/mileageRates');
+const { kmPerUnit, fromKm, unitLabels } = require('../utils/units');
+
+const router = express.Router();
+
+// Apply auth middleware to all routes
+router.use(protect);
+
+const GROUP_BY = ['category', 'month', 'project'];
+
+const roundMoney = (n) => Math.round(n * 100) / 100;
+const roundDistance = (n) => Math.round(n * 1000) / 1000;
+
+// Rates are applied per km; requests and responses quote them per km or mile
+const mapRates = (rates, fn) => Object.fromEntries(
+  Object.entries(rates).map(([category, rate]) => [category, fn(rate)])
+);
+const ratePerUnit = (rate, units) => Math.round(rate * kmPerUnit(units) * 10000) / 10000;
+
+// @desc    Mileage reimbursement report in the user's distance units
+// @route   GET /api/reports/mileage?from=&to=&groupBy=category|month|project&tz=&rates=business:0.5
+// @access  Private
+const getMileageReport = async (req, res) => {
+  try {
+    const groupBy = String(req.query.groupBy || 'category');
+    if (!GROUP_BY.includes(groupBy)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid groupBy. Use one of: ${GROUP_BY.join(', ')}`
+      });
+    }
+
+    const preferences = await UserData.getPreferences(req.user.id);
+    const timezone = req.query.tz || preferences.timezone;
+    if (!isValidTimeZone(timezone)) {
+      return res.status(400).json({ success: false, error: 'Invalid time zone' });
+    }
+
+    const { range, error } = parseDateRange(req.query.from, req.query.to, timezone);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    // The user's own rate replaces the default business rate; ?rates= still overrides both.
+    // Both are per km or mile, following the user's units
+    const { units } = preferences;
+    const userRates = preferences.reimbursementRate != null
+      ? { business: preferences.reimbursementRate }
+      : {};
+    const rates = getMileageRates(
+      mapRates({ ...userRates, ...parseRateQuery(req.query.rates) }, (rate) => rate / kmPerUnit(units))
+    );
+    const currency = preferences.currency || getMileageCurrency();
+
+    const match = {
+      userId: new mongoose.Types.ObjectId(String(req.user.id)),
+      status: 'completed'
+    };
+    const startTime = rangeCondition(range);
+    if (startTime) match.startTime = startTime;
+
+    const groupKeys = {
+      category: '$category',
+      month: { $dateToString: { format: '%Y-%m', date: '$startTime', timezone } },
+      project: { $ifNull: ['$project', null] }
+    };
+
+    // Group by (group key, category) so every bucket can apply per-category rates
+    const rows = await Trip.aggregate([
+      { $match: match },
+      {
+        $project: {
+          category: { $ifNull: ['$category', 'uncategorized'] },
+          project: 1,
+          startTime: 1,
+          // Claims use the logged odometer distance, falling back to GPS distance
+          claimDistance: {
+            $cond: [
+              { $gt: ['$endOdometer', null] },
+              { $subtract: ['$endOdometer', '$startOdometer'] },
+              '$distance'
+            ]
+          },
+          distance: 1
+        }
+      },
+      {
+        $group: {
+          _id: { key: groupKeys[groupBy], category: '$category' },
+          trips: { $sum: 1 },
+          distance: { $sum: '$claimDistance' },
+          gpsDistance: { $sum: '$distance' }
+        }
+      }
+    ]);
+
+    const groups = new Map();
+    const totals = { trips: 0, distance: 0, gpsDistance: 0, amount: 0 };
+
+    for (const row of rows) {
+      const key = groupBy === 'category' ? row._id.category : row._id.key;
+      const rate = rates[row._id.category] || 0;
+      const amount = row.distance * rate;
+
+      if (!groups.has(key)) {
+        groups.set(key, { key, trips: 0, distance: 0, gpsDistance: 0, amount: 0, byCategory: [] });
+      }
+      const group = groups.get(key);
+      group.trips += row.trips;
+      group.distance += row.distance;
+      group.gpsDistance += row.gpsDistance;
+      group.amount += amount;
+      group.byCategory.push({
+        category: row._id.category,
+        trips: row.trips,
+        distance: roundDistance(fromKm(row.distance, units)),
+        rate: ratePerUnit(rate, units),
+        amount: roundMoney(amount)
+      });
+
+      totals.trips += row.trips;
+      totals.distance += row.distance;
+      totals.gpsDistance += row.gpsDistance;
+      totals.amount += amount;
+    }
+
+    const data = Array.from(groups.values())
+      .map((g) => ({
+        ...g,
+        distance: roundDistance(fromKm(g.distance, units)),
+        gpsDistance: roundDistance(fromKm(g.gpsDistance, units)),
+        amount: roundMoney(g.amount),
+        byCategory: g.byCategory.sort((a, b) => a.category.localeCompare(b.category))
+      }))
+      .sort((a, b) => String(a.key ?? '').localeCompare(String(b.key ?? '')));
+
+    res.status(200).json({
+      success: true,
+      period: { from: range.start || null, to: range.end || null, timezone },
+      groupBy,
+      unit: unitLabels(units).distance,
+      currency,
+      rates: mapRates(rates, (rate) => ratePerUnit(rate, units)),
+      totals: {
+        trips: totals.trips,
+        distance: roundDistance(fromKm(totals.distance, units)),
+        gpsDistance: roundDistance(fromKm(totals.gpsDistance, units)),
+        amount: roundMoney(totals.amount)
+      },
+      data
+    });
+  } catch (error) {
+    console.error('Mileage report error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while building mileage report'
+    });
+  }
+};
+
+// Routes
+router.get('/mileage', getMileageReport);
+
+module.exports = router;
@@ -0,0 +1,45 @@
+const express = require('express');
+const Trip = require('../models/Trip');
+const TripShare = require('../models/TripShare');
+const UserData = require('../models/UserData');
+const { buildSharedView } = require('../utils/tripShare');
+
+const router = express.Router();
+
+// @desc    Read-only view of a shared trip
+// @route   GET /api/shared/:token
+// @access  Public
+const getSharedTrip = async (req, res) => {
+  try {
+    const share = await TripShare.open(req.params.token);
+    const trip = share
+      ? await Trip.findOne({ _id: share.tripId, userId: share.userId, status: 'completed' })
+      : null;
+
+    // Unknown, expired, revoked and deleted links all look the same
+    if (!trip) {
+      return res.status(404).json({
+        success: false,
+        error: 'Shared trip not found or link has expired'
+      });
+    }
+
+    const preferences = await UserData.getPreferences(share.userId);
+
+    res.set('Cache-Control', 'private, no-store');
+    res.status(200).json({
+      success: true,
+      data: buildSharedView(trip, share, preferences)
+    });
+  } catch (error) {
+    console.error('Get shared trip error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching shared trip'
+    });
+  }
+};
+
+router.get('/:token', getSharedTrip);
+
+module.exports = router;
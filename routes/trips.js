@@ -1,36 +1,127 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const Trip = require('../models/Trip');
 const UserData = require('../models/UserData');
-const { reverseGeocode } = require('../utils/reverseGeocode');
+const Vehicle = require('../models/Vehicle');
+const Expense = require('../models/Expense');
+const TripShare = require('../models/TripShare');
+const TripDetectionState = require('../models/TripDetectionState');
+const { nameLocation } = require('../utils/places');
+const { advanceOdometer, updateLiveOdometer, finishTrip } = require('../utils/tripLifecycle');
+const { isStale, closeStaleTrip } = require('../utils/staleTrips');
+const { exportTrip, SUPPORTED_FORMATS } = require('../utils/tripExport');
+const { parseTrack } = require('../utils/trackImport');
+const { parseDateRange, rangeCondition, isValidTimeZone } = require('../utils/dateRange');
+const { LOGBOOK_FIELDS, toLogbookRow, csvHeader, csvRow, createLogbookBuilder } = require('../utils/logbook');
+const { writeChunk, isPrematureClose } = require('../utils/streams');
+const { convertTrip, convertExpense, unitLabels, toKm, odometerAfter } = require('../utils/units');
+const { statsAccumulators, withOverallSpeed, EMPTY_STATS_SUMMARY } = require('../utils/tripStats');
+const { streamLiveTrip, notifyTripUpdate } = require('../utils/liveTrips');
+const { segmentPoints } = require('../utils/tripDetection');
+const { preferencesFor } = require('../utils/preferences');
 const { protect } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const { rateLimit } = require('../middleware/rateLimit');
 
 const router = express.Router();
 
+const ROUTE_DETAILS = ['full', 'simplified', 'none'];
+
+// Serialize a trip with the requested amount of route:
+// full (raw track), simplified (stored preview) or none
+const tripWithRoute = async (trip, detail, units) => {
+  const data = trip.toJSON();
+  if (detail === 'none') {
+    delete data.route;
+  } else if (detail === 'full') {
+    data.route = await trip.loadFullRoute();
+  }
+  data.routeDetail = detail;
+  return convertTrip(data, units);
+};
+
+// Pick category/client/project from a request body.
+// Returns { fields } or { error } when the category is not a known one.
+const pickClassification = (body) => {
+  const fields = {};
+  const { category, client, project } = body || {};
+  if (category !== undefined) {
+    if (category !== null && !Trip.CATEGORIES.includes(category)) {
+      return { error: `Category must be one of: ${Trip.CATEGORIES.join(', ')}` };
+    }
+    fields.category = category || undefined;
+  }
+  if (client !== undefined) fields.client = client ? String(client).trim() : undefined;
+  if (project !== undefined) fields.project = project ? String(project).trim() : undefined;
+  return { fields };
+};
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+// Keep well-formed GPS fixes from a request body
+const sanitizePoints = (points) => (points || [])
+  .filter((p) => p && typeof p.latitude === 'number' && typeof p.longitude === 'number' && typeof p.accuracy === 'number' && typeof p.timestamp === 'number')
+  .map(({ latitude, longitude, accuracy, timestamp }) => ({ latitude, longitude, accuracy, timestamp }));
+
 // Apply auth middleware to all routes
 router.use(protect);
 
+// Live GPS writes are limited per account on top of the per-IP trips limit
+const limitRoutePoints = rateLimit('route_points', { perUser: true });
+
 // @desc    Get all trips for user
 // @route   GET /api/trips
 // @access  Private
 const getTrips = async (req, res) => {
   try {
-    const { status, limit = 50, page = 1 } = req.query;
+    const { status, category, client, project, vehicleId, placeId, needsReview, limit = 50, page = 1 } = req.query;
     
     // Build query
     const query = { userId: req.user.id };
     if (status) {
       query.status = status;
     }
+    if (category) {
+      // Comma-separated list; "none" matches unclassified trips
+      const categories = String(category).split(',').map((c) => c.trim()).filter(Boolean);
+      query.category = { $in: categories.map((c) => (c === 'none' ? null : c)) };
+    }
+    if (needsReview !== undefined) {
+      // Trips from before review existed have no needsReview field
+      query.needsReview = needsReview === 'true' ? true : { $ne: true };
+    }
+    if (client) {
+      query.client = client;
+    }
+    if (project) {
+      query.project = project;
+    }
+    if (vehicleId) {
+      if (!mongoose.isValidObjectId(vehicleId)) {
+        return res.status(400).json({ success: false, error: 'Invalid vehicle ID' });
+      }
+      query.vehicleId = vehicleId;
+    }
+    if (placeId) {
+      // Trips that started or ended at the saved place
+      if (!mongoose.isValidObjectId(placeId)) {
+        return res.status(400).json({ success: false, error: 'Invalid place ID' });
+      }
+      query.$or = [{ startPlaceId: placeId }, { endPlaceId: placeId }];
+    }
 
     // Calculate pagination
     const skip = (page - 1) * limit;
     
+    // Routes can be large; fetch a single trip for its route
     const trips = await Trip.find(query)
+      .select('-route')
       .sort({ createdAt: -1 })
       .limit(limit * 1)
       .skip(skip);
 
     const total = await Trip.countDocuments(query);
+    const { units } = await preferencesFor(req);
 
     res.status(200).json({
       success: true,
@@ -38,7 +129,7 @@ const getTrips = async (req, res) => {
       total,
       page: parseInt(page),
       pages: Math.ceil(total / limit),
-      data: trips
+      data: trips.map((trip) => convertTrip(trip, units))
     });
   } catch (error) {
     console.error('Get trips error:', error);
@@ -49,11 +140,189 @@ const getTrips = async (req, res) => {
   }
 };
 
+const STATS_GROUP_BY = ['day', 'week', 'month', 'purpose'];
+
+// @desc    Trip statistics for dashboards
+// @route   GET /api/trips/stats?from=&to=&groupBy=day|week|month|purpose&tz=&status=
+// @access  Private
+const getTripStats = async (req, res) => {
+  try {
+    const { groupBy, status = 'completed' } = req.query;
+    if (groupBy && !STATS_GROUP_BY.includes(groupBy)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid groupBy. Use one of: ${STATS_GROUP_BY.join(', ')}`
+      });
+    }
+
+    const preferences = await preferencesFor(req);
+    const timezone = req.query.tz || preferences.timezone;
+    if (!isValidTimeZone(timezone)) {
+      return res.status(400).json({ success: false, error: 'Invalid time zone' });
+    }
+
+    // Date-only bounds are the caller's days, matching the buckets below
+    const { range, error } = parseDateRange(req.query.from, req.query.to, timezone);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const match = { userId: new mongoose.Types.ObjectId(String(req.user.id)) };
+    if (status !== 'all') match.status = status;
+    const startTime = rangeCondition(range);
+    if (startTime) match.startTime = startTime;
+
+    // Buckets are computed in the caller's time zone so "today" matches their calendar
+    const bucketKeys = {
+      day: { $dateToString: { format: '%Y-%m-%d', date: '$startTime', timezone } },
+      week: { $dateToString: { format: '%G-W%V', date: '$startTime', timezone } },
+      month: { $dateToString: { format: '%Y-%m', date: '$startTime', timezone } },
+      purpose: '$purpose'
+    };
+
+    const facets = {
+      summary: [{ $group: { _id: null, ...statsAccumulators } }]
+    };
+    if (groupBy) {
+      facets.buckets = [
+        { $group: { _id: bucketKeys[groupBy], ...statsAccumulators } },
+        { $sort: { _id: 1 } }
+      ];
+    }
+
+    const [result] = await Trip.aggregate([
+      { $match: match },
+      { $facet: facets }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      period: { from: range.start || null, to: range.end || null, timezone },
+      groupBy: groupBy || null,
+      units: unitLabels(preferences.units),
+      data: {
+        summary: withOverallSpeed(result.summary[0] || EMPTY_STATS_SUMMARY, preferences.units),
+        buckets: groupBy
+          ? result.buckets.map((b) => ({ key: b._id, ...withOverallSpeed(b, preferences.units) }))
+          : undefined
+      }
+    });
+  } catch (error) {
+    console.error('Get trip stats error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching trip stats'
+    });
+  }
+};
+
+// Parse the shared logbook query (?from=&to=&tz=) into a cursor over completed trips.
+// The time zone defaults to the user's preference; distances use the user's units.
+// Resolves to { cursor, range, timezone, units } or { error }.
+const openLogbookCursor = async (req) => {
+  const { timezone: defaultTimezone, units } = await preferencesFor(req);
+  const timezone = req.query.tz || defaultTimezone;
+  if (!isValidTimeZone(timezone)) return { error: 'Invalid time zone' };
+
+  const { range, error } = parseDateRange(req.query.from, req.query.to, timezone);
+  if (error) return { error };
+
+  const query = { userId: req.user.id, status: 'completed' };
+  const startTime = rangeCondition(range);
+  if (startTime) query.startTime = startTime;
+
+  // Stream lean documents in date order; routes are never needed here
+  const cursor = Trip.find(query)
+    .select(LOGBOOK_FIELDS.join(' '))
+    .sort({ startTime: 1 })
+    .lean()
+    .cursor();
+
+  return { cursor, range, timezone, units };
+};
+
+// @desc    Mileage logbook as CSV
+// @route   GET /api/trips/export.csv?from=&to=&tz=
+// @access  Private
+const exportLogbookCsv = async (req, res) => {
+  const { cursor, timezone, units, error } = await openLogbookCursor(req);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+
+  try {
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', 'attachment; filename="mileage-logbook.csv"');
+    res.status(200);
+    res.write(csvHeader(units));
+
+    for await (const trip of cursor) {
+      // Respect backpressure so large histories never pile up in memory;
+      // a client that disconnects ends the export instead of leaving it waiting
+      await writeChunk(res, csvRow(toLogbookRow(trip, timezone, units)));
+    }
+    res.end();
+  } catch (error) {
+    await cursor.close().catch(() => {});
+    if (isPrematureClose(error)) return;
+    console.error('Export logbook CSV error:', error);
+    if (!res.headersSent) {
+      return res.status(500).json({
+        success: false,
+        error: 'Server error while exporting logbook'
+      });
+    }
+    res.destroy(error);
+  }
+};
+
+// @desc    Print-ready mileage logbook with monthly subtotals
+// @route   GET /api/trips/logbook?from=&to=&tz=
+// @access  Private
+const getLogbook = async (req, res) => {
+  const { cursor, range, timezone, units, error } = await openLogbookCursor(req);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+
+  try {
+    const builder = createLogbookBuilder();
+    for await (const trip of cursor) {
+      builder.add(toLogbookRow(trip, timezone, units));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        user: { name: req.user.fullName, email: req.user.email },
+        period: { from: range.start || null, to: range.end || null, timezone },
+        unit: unitLabels(units).distance,
+        generatedAt: new Date().toISOString(),
+        ...builder.result()
+      }
+    });
+  } catch (error) {
+    console.error('Get logbook error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while building logbook'
+    });
+  }
+};
+
 // @desc    Get single trip
-// @route   GET /api/trips/:id
+// @route   GET /api/trips/:id?detail=full|simplified|none
 // @access  Private
 const getTrip = async (req, res) => {
   try {
+    const detail = String(req.query.detail || 'full').toLowerCase();
+    if (!ROUTE_DETAILS.includes(detail)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid detail. Use one of: ${ROUTE_DETAILS.join(', ')}`
+      });
+    }
+
     const trip = await Trip.findOne({ 
       _id: req.params.id, 
       userId: req.user.id 
@@ -66,9 +335,14 @@ const getTrip = async (req, res) => {
       });
     }
 
+    const { units } = await preferencesFor(req);
+    const data = await tripWithRoute(trip, detail, units);
+    const expenses = await Expense.find({ userId: req.user.id, tripId: trip._id }).sort({ date: 1 });
+    data.expenses = expenses.map((expense) => convertExpense(expense, units));
+
     res.status(200).json({
       success: true,
-      data: trip
+      data
     });
   } catch (error) {
     console.error('Get trip error:', error);
@@ -79,23 +353,82 @@ const getTrip = async (req, res) => {
   }
 };
 
+// @desc    Export trip route as a track file
+// @route   GET /api/trips/:id/export?format=gpx|kml|geojson
+// @access  Private
+const exportTripRoute = async (req, res) => {
+  try {
+    const format = String(req.query.format || 'gpx').toLowerCase();
+    if (!SUPPORTED_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unsupported format. Use one of: ${SUPPORTED_FORMATS.join(', ')}`
+      });
+    }
+
+    const trip = await Trip.findOne({
+      _id: req.params.id,
+      userId: req.user.id
+    });
+
+    if (!trip) {
+      return res.status(404).json({
+        success: false,
+        error: 'Trip not found'
+      });
+    }
+
+    const route = await trip.loadFullRoute();
+    const { body, contentType, filename } = exportTrip({ ...trip.toObject(), route }, format);
+
+    res.set('Content-Type', `${contentType}; charset=utf-8`);
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.status(200).send(body);
+  } catch (error) {
+    console.error('Export trip error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while exporting trip'
+    });
+  }
+};
+
 // @desc    Create new trip
 // @route   POST /api/trips
 // @access  Private
 const createTrip = async (req, res) => {
   try {
-    const { purpose, startOdometer, route } = req.body;
+    const { startOdometer, route, vehicleId } = req.body;
+    const { units, defaultPurpose } = await preferencesFor(req);
+    const purpose = req.body.purpose || defaultPurpose;
 
     // Validation
-    if (!purpose || !startOdometer) {
+    if (!purpose) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide trip purpose'
+      });
+    }
+    if (!isBlank(startOdometer) && !(Number(startOdometer) >= 0)) {
       return res.status(400).json({
         success: false,
-        error: 'Please provide purpose and start odometer reading'
+        error: 'Valid start odometer reading is required'
       });
     }
 
-    // Check if user has an active trip
-    const activeTrip = await Trip.findActiveTrip(req.user.id);
+    const classification = pickClassification(req.body);
+    if (classification.error) {
+      return res.status(400).json({
+        success: false,
+        error: classification.error
+      });
+    }
+
+    // Check if user has an active trip; one abandoned long ago is closed instead of blocking
+    let activeTrip = await Trip.findActiveTrip(req.user.id);
+    if (activeTrip && isStale(activeTrip) && await closeStaleTrip(activeTrip)) {
+      activeTrip = null;
+    }
     if (activeTrip) {
       return res.status(400).json({
         success: false,
@@ -103,44 +436,49 @@ const createTrip = async (req, res) => {
       });
     }
 
-    // Attempt reverse geocoding for starting point if route provided
-    let startLocationName = undefined;
-    try {
-      const firstPoint = (route && route.length > 0) ? route[0] : null;
-      if (firstPoint && typeof firstPoint.latitude === 'number' && typeof firstPoint.longitude === 'number') {
-        startLocationName = await reverseGeocode(firstPoint.latitude, firstPoint.longitude);
-      }
-    } catch (geoErr) {
-      console.warn('Reverse geocode start failed:', geoErr?.message || geoErr);
+    // Trips belong to a vehicle; without one they go on the user's default vehicle
+    const vehicle = await Vehicle.resolveForUser(req.user.id, vehicleId);
+    if (!vehicle) {
+      return res.status(404).json({
+        success: false,
+        error: 'Vehicle not found'
+      });
     }
+    // Odometer readings arrive in the user's units
+    const baseOdometer = isBlank(startOdometer) ? vehicle.currentOdometer : toKm(Number(startOdometer), units);
+
+    // Name the starting point after a saved place, or reverse geocode it
+    const start = await nameLocation(req.user.id, route && route.length > 0 ? route[0] : null);
 
     // Create trip
-    const trip = await Trip.create({
+    const trip = new Trip({
       userId: req.user.id,
       purpose: purpose.trim(),
-      startOdometer: Number(startOdometer),
-      route: route || [],
+      ...classification.fields,
+      vehicleId: vehicle._id,
+      startOdometer: baseOdometer,
       status: 'active',
-      startLocation: startLocationName
+      startLocation: start.name || undefined,
+      startPlaceId: start.placeId
     });
+    await trip.saveRoute(route || []);
 
-    // Update UserData: mark active trip and ensure currentOdometer baseline is at least startOdometer
+    // Mark the active trip and ensure the vehicle's odometer baseline is at least startOdometer
     try {
       await UserData.findOneAndUpdate(
         { userId: req.user.id },
-        {
-          $set: { activeTrip: trip._id, updatedAt: new Date() },
-          $max: { currentOdometer: Number(startOdometer) }
-        },
+        { $set: { activeTrip: trip._id, updatedAt: new Date() } },
         { new: true, upsert: true }
       );
+      await advanceOdometer(req.user.id, vehicle._id, baseOdometer);
     } catch (e) {
       console.warn('Failed to set activeTrip / baseline odometer:', e?.message || e);
     }
+    notifyTripUpdate(req.user.id);
 
     res.status(201).json({
       success: true,
-      data: trip
+      data: convertTrip(trip, units)
     });
   } catch (error) {
     console.error('Create trip error:', error);
@@ -154,6 +492,145 @@ const createTrip = async (req, res) => {
   }
 };
 
+// @desc    Import a GPX/GeoJSON track as a completed trip
+// @route   POST /api/trips/import
+// @access  Private
+const importTrip = async (req, res) => {
+  try {
+    const { data, format, purpose, startOdometer, vehicleId } = req.body;
+
+    if (!data) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide track data (GPX or GeoJSON)'
+      });
+    }
+
+    const parsed = parseTrack(data, format);
+    if (!parsed) {
+      return res.status(400).json({
+        success: false,
+        error: 'Unsupported track format. Use gpx or geojson'
+      });
+    }
+
+    const route = parsed.points;
+    if (route.length < 2 || route[route.length - 1].timestamp <= route[0].timestamp) {
+      return res.status(400).json({
+        success: false,
+        error: 'Track must contain at least two timestamped points'
+      });
+    }
+
+    const tripPurpose = String(purpose || parsed.name || '').trim();
+    if (tripPurpose.length < 3) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide a trip purpose'
+      });
+    }
+    if (tripPurpose.length > 200) {
+      return res.status(400).json({
+        success: false,
+        error: 'Purpose cannot exceed 200 characters'
+      });
+    }
+
+    const classification = pickClassification(req.body);
+    if (classification.error) {
+      return res.status(400).json({
+        success: false,
+        error: classification.error
+      });
+    }
+
+    const startTime = new Date(route[0].timestamp);
+    const endTime = new Date(route[route.length - 1].timestamp);
+
+    // Reject tracks that overlap an existing trip (active trips have no endTime yet)
+    const overlapping = await Trip.findOne({
+      userId: req.user.id,
+      startTime: { $lt: endTime },
+      $or: [{ endTime: { $gt: startTime } }, { status: 'active' }]
+    }).select('_id startTime endTime status');
+
+    if (overlapping) {
+      return res.status(409).json({
+        success: false,
+        error: 'Imported track overlaps an existing trip',
+        conflictingTrip: overlapping._id
+      });
+    }
+
+    const vehicle = await Vehicle.resolveForUser(req.user.id, vehicleId);
+    if (!vehicle) {
+      return res.status(404).json({
+        success: false,
+        error: 'Vehicle not found'
+      });
+    }
+
+    // Default the start odometer to the vehicle's current reading; readings arrive in the user's units
+    const { units } = await preferencesFor(req);
+    const baseOdometer = isBlank(startOdometer) ? vehicle.currentOdometer : toKm(Number(startOdometer), units);
+    if (!isFinite(baseOdometer) || baseOdometer < 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Valid start odometer reading is required'
+      });
+    }
+
+    const trip = new Trip({
+      userId: req.user.id,
+      purpose: tripPurpose,
+      ...classification.fields,
+      vehicleId: vehicle._id,
+      startTime,
+      endTime,
+      startOdometer: baseOdometer,
+      status: 'completed'
+    });
+
+    const [start, end] = await Promise.all([
+      nameLocation(req.user.id, route[0]),
+      nameLocation(req.user.id, route[route.length - 1])
+    ]);
+    if (start.name) trip.startLocation = start.name;
+    if (end.name) trip.endLocation = end.name;
+    trip.startPlaceId = start.placeId;
+    trip.endPlaceId = end.placeId;
+
+    await trip.saveRoute(route, () => {
+      trip.endOdometer = odometerAfter(baseOdometer, trip.distance, units);
+    });
+
+    // Advance the odometer without ever moving it backwards (older imports leave it untouched)
+    try {
+      await advanceOdometer(req.user.id, vehicle._id, trip.endOdometer);
+    } catch (e) {
+      console.warn('Failed to update vehicle odometer (import):', e?.message || e);
+    }
+
+    res.status(201).json({
+      success: true,
+      data: convertTrip(trip, units),
+      imported: route.length
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: Object.values(error.errors).map((e) => e.message).join(', ')
+      });
+    }
+    console.error('Import trip error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while importing trip'
+    });
+  }
+};
+
 // @desc    Update trip (mainly for adding route points)
 // @route   PUT /api/trips/:id
 // @access  Private
@@ -171,32 +648,45 @@ const updateTrip = async (req, res) => {
       });
     }
 
-    // Don't allow updates to completed trips
-    if (trip.status === 'completed') {
+    // Update allowed fields
+    const { route, startLocation, endLocation } = req.body;
+
+    // Completed trips can still be classified, but their route and locations are final
+    if (trip.status === 'completed' && (route || startLocation || endLocation)) {
       return res.status(400).json({
         success: false,
         error: 'Cannot update completed trip'
       });
     }
 
-    // Update allowed fields
-    const { route, startLocation, endLocation } = req.body;
-    
-    if (route) {
-      trip.route = route;
+    const classification = pickClassification(req.body);
+    if (classification.error) {
+      return res.status(400).json({
+        success: false,
+        error: classification.error
+      });
     }
+    Object.assign(trip, classification.fields);
+    
+    // A typed location replaces the saved place it was matched to
     if (startLocation) {
       trip.startLocation = startLocation;
+      trip.startPlaceId = null;
     }
     if (endLocation) {
       trip.endLocation = endLocation;
+      trip.endPlaceId = null;
     }
 
-    await trip.save();
+    if (route) {
+      await trip.saveRoute(route);
+    } else {
+      await trip.save();
+    }
 
     res.status(200).json({
       success: true,
-      data: trip
+      data: convertTrip(trip, (await preferencesFor(req)).units)
     });
   } catch (error) {
     console.error('Update trip error:', error);
@@ -212,7 +702,7 @@ const updateTrip = async (req, res) => {
 // @access  Private
 const endTrip = async (req, res) => {
   try {
-    const { endOdometer, endLocation } = req.body;
+    const { endLocation } = req.body;
 
     let trip = await Trip.findOne({ 
       _id: req.params.id, 
@@ -227,57 +717,19 @@ const endTrip = async (req, res) => {
       });
     }
 
-    // Compute final odometer using integer distance rule: round up only if fractional part > 0.5
-    const roundDistance = (d) => {
-      const base = Math.floor(Number(d) || 0);
-      const frac = (Number(d) || 0) - base;
-      return base + (frac > 0.5 ? 1 : 0);
-    };
-    // Prefer server-calculated distance on the trip if available
-    const roundedDistance = roundDistance(trip.distance || 0);
-    const computedEndOdo = trip.startOdometer + roundedDistance;
-
-    // If client provided a value, use the computed one to guarantee consistency
-    const finalEndOdometer = Math.max(computedEndOdo, trip.startOdometer);
-
-    // Update trip
-    trip.endTime = new Date();
-    trip.endOdometer = finalEndOdometer;
-    trip.status = 'completed';
-    if (endLocation) {
-      trip.endLocation = endLocation;
-    } else {
-      // Try to reverse geocode last route point for end location
-      try {
-        const lastPoint = trip.route && trip.route.length > 0 ? trip.route[trip.route.length - 1] : null;
-        if (lastPoint) {
-          const endLocName = await reverseGeocode(lastPoint.latitude, lastPoint.longitude);
-          if (endLocName) trip.endLocation = endLocName;
-        }
-      } catch (geoErr) {
-        console.warn('Reverse geocode end failed:', geoErr?.message || geoErr);
-      }
-    }
-
-    await trip.save();
-
-    // Update user's current odometer and clear active trip
-    try {
-      await UserData.findOneAndUpdate(
-        { userId: req.user.id },
-        {
-          $inc: { currentOdometer: roundedDistance },
-          $set: { activeTrip: null, updatedAt: new Date() }
-        },
-        { new: true, upsert: true }
-      );
-    } catch (e) {
-      console.warn('Failed to update user currentOdometer:', e?.message || e);
+    // A client-provided endOdometer is ignored; the computed one keeps readings consistent
+    const { units } = await preferencesFor(req);
+    const completed = await finishTrip(req.user.id, trip, { endLocation, units });
+    if (!completed) {
+      return res.status(409).json({
+        success: false,
+        error: 'Trip was ended or is still receiving points, please retry'
+      });
     }
 
     res.status(200).json({
       success: true,
-      data: trip
+      data: convertTrip(completed, units)
     });
   } catch (error) {
     console.error('End trip error:', error);
@@ -306,6 +758,7 @@ const deleteTrip = async (req, res) => {
     }
 
     await Trip.findByIdAndDelete(req.params.id);
+    notifyTripUpdate(req.user.id);
 
     res.status(200).json({
       success: true,
@@ -320,12 +773,179 @@ const deleteTrip = async (req, res) => {
   }
 };
 
+const SHARE_DEFAULT_HOURS = 7 * 24;
+const SHARE_MAX_HOURS = 90 * 24;
+
+// @desc    Create a public, read-only link to a completed trip
+// @route   POST /api/trips/:id/share
+// @access  Private
+const createTripShare = async (req, res) => {
+  try {
+    const { expiresInHours = SHARE_DEFAULT_HOURS, trimMeters = 0, hideTimestamps = false } = req.body || {};
+
+    const hours = Number(expiresInHours);
+    if (!isFinite(hours) || hours <= 0 || hours > SHARE_MAX_HOURS) {
+      return res.status(400).json({
+        success: false,
+        error: `expiresInHours must be between 0 and ${SHARE_MAX_HOURS}`
+      });
+    }
+    const trim = Number(trimMeters);
+    if (!isFinite(trim) || trim < 0 || trim > 10000) {
+      return res.status(400).json({
+        success: false,
+        error: 'trimMeters must be between 0 and 10000'
+      });
+    }
+
+    const trip = await Trip.findOne({ _id: req.params.id, userId: req.user.id });
+    if (!trip) {
+      return res.status(404).json({
+        success: false,
+        error: 'Trip not found'
+      });
+    }
+    if (trip.status !== 'completed') {
+      return res.status(400).json({
+        success: false,
+        error: 'Only completed trips can be shared'
+      });
+    }
+
+    const { share, token } = await TripShare.issue(trip, {
+      trimMeters: trim,
+      hideTimestamps: hideTimestamps === true || hideTimestamps === 'true',
+      ttlMs: hours * 60 * 60 * 1000
+    });
+
+    // The token is only shown now; it cannot be recovered later
+    res.status(201).json({
+      success: true,
+      data: {
+        ...share.toJSON(),
+        token,
+        path: `/api/shared/${token}`
+      }
+    });
+  } catch (error) {
+    console.error('Create trip share error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while sharing trip'
+    });
+  }
+};
+
+// @desc    List share links of a trip
+// @route   GET /api/trips/:id/shares
+// @access  Private
+const getTripShares = async (req, res) => {
+  try {
+    const trip = await Trip.findOne({ _id: req.params.id, userId: req.user.id }).select('_id');
+    if (!trip) {
+      return res.status(404).json({
+        success: false,
+        error: 'Trip not found'
+      });
+    }
+
+    const shares = await TripShare.find({ tripId: trip._id }).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: shares.length,
+      data: shares
+    });
+  } catch (error) {
+    console.error('Get trip shares error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching share links'
+    });
+  }
+};
+
+// @desc    Revoke a share link
+// @route   DELETE /api/trips/:id/shares/:shareId
+// @access  Private
+const revokeTripShare = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.shareId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Share link not found'
+      });
+    }
+
+    const share = await TripShare.findOneAndUpdate(
+      { _id: req.params.shareId, tripId: req.params.id, userId: req.user.id },
+      { $set: { revokedAt: new Date() } },
+      { new: true }
+    );
+    if (!share) {
+      return res.status(404).json({
+        success: false,
+        error: 'Share link not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: share
+    });
+  } catch (error) {
+    console.error('Revoke trip share error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while revoking share link'
+    });
+  }
+};
+
+// @desc    Follow the active trip live (server-sent events)
+// @route   GET /api/trips/active/stream
+// @access  Private
+const streamActiveTrip = async (req, res) => {
+  try {
+    const trip = await Trip.findActiveTrip(req.user.id).select('_id');
+    if (!trip) {
+      return res.status(404).json({
+        success: false,
+        error: 'No active trip found'
+      });
+    }
+
+    await streamLiveTrip(req, res, { userId: req.user.id });
+  } catch (error) {
+    console.error('Stream active trip error:', error);
+    if (!res.headersSent) {
+      return res.status(500).json({
+        success: false,
+        error: 'Server error while streaming trip'
+      });
+    }
+    res.end();
+  }
+};
+
 // @desc    Get active trip
-// @route   GET /api/trips/active
+// @route   GET /api/trips/active?detail=full|simplified|none
 // @access  Private
 const getActiveTrip = async (req, res) => {
   try {
-    const trip = await Trip.findActiveTrip(req.user.id);
+    const detail = String(req.query.detail || 'full').toLowerCase();
+    if (!ROUTE_DETAILS.includes(detail)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid detail. Use one of: ${ROUTE_DETAILS.join(', ')}`
+      });
+    }
+
+    // The cron sweep may only run daily; close an abandoned trip here instead of resuming it
+    let trip = await Trip.findActiveTrip(req.user.id);
+    if (trip && isStale(trip) && await closeStaleTrip(trip)) {
+      trip = null;
+    }
 
     if (!trip) {
       return res.status(404).json({
@@ -336,7 +956,7 @@ const getActiveTrip = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      data: trip
+      data: await tripWithRoute(trip, detail, (await preferencesFor(req)).units)
     });
   } catch (error) {
     console.error('Get active trip error:', error);
@@ -388,28 +1008,28 @@ const addRoutePoint = async (req, res) => {
       timestamp: Number(timestamp)
     };
 
-    trip.route.push(newPoint);
-    await trip.save();
+    const { trip: updated, added, duplicates } = await trip.appendRoutePoints([newPoint]);
+
+    if (!updated) {
+      return res.status(404).json({
+        success: false,
+        error: 'No active trip found'
+      });
+    }
 
-    // Optionally keep a live estimated odometer: startOdometer + rounded distance so far
+    const { units } = await preferencesFor(req);
     try {
-      const roundDistance = (d) => {
-        const base = Math.floor(Number(d) || 0);
-        const frac = (Number(d) || 0) - base;
-        return base + (frac > 0.5 ? 1 : 0);
-      };
-      const estDistance = roundDistance(trip.distance || 0);
-      await UserData.findOneAndUpdate(
-        { userId: req.user.id },
-        { $set: { currentOdometer: trip.startOdometer + estDistance, updatedAt: new Date() } }
-      );
+      await updateLiveOdometer(req.user.id, updated, units);
     } catch (e) {
       console.warn('Failed to update live odometer (single point):', e?.message || e);
     }
+    notifyTripUpdate(req.user.id);
 
     res.status(200).json({
       success: true,
-      data: trip
+      data: convertTrip(updated, units),
+      added,
+      duplicates
     });
   } catch (error) {
     console.error('Add route point error:', error);
@@ -445,57 +1065,298 @@ const addRoutePointsBulk = async (req, res) => {
       console.warn('Failed to sync activeTrip in userData (bulk):', e?.message || e);
     }
 
-    const sanitized = [];
-    for (const p of points) {
-      if (p && typeof p.latitude === 'number' && typeof p.longitude === 'number' && typeof p.accuracy === 'number' && typeof p.timestamp === 'number') {
-        sanitized.push({
-          latitude: p.latitude,
-            longitude: p.longitude,
-            accuracy: p.accuracy,
-            timestamp: p.timestamp
-        });
-      }
+    const sanitized = sanitizePoints(points);
+
+    if (!sanitized.length) {
+      return res.status(400).json({ success: false, error: 'No valid points provided' });
+    }
+
+    // Atomic append; points are sorted and deduplicated by timestamp
+    const { trip: updated, added, duplicates } = await trip.appendRoutePoints(sanitized);
+    if (!updated) {
+      return res.status(404).json({ success: false, error: 'No active trip found' });
+    }
+
+    const { units } = await preferencesFor(req);
+    try {
+      await updateLiveOdometer(req.user.id, updated, units);
+    } catch (e) {
+      console.warn('Failed to update live odometer (bulk):', e?.message || e);
     }
+    notifyTripUpdate(req.user.id);
 
+    res.status(200).json({ success: true, data: convertTrip(updated, units), added, duplicates });
+  } catch (error) {
+    console.error('Bulk add route points error:', error);
+    res.status(500).json({ success: false, error: 'Server error while adding route points' });
+  }
+};
+
+// Open a trip for points where detection saw sustained movement.
+// It goes on the default vehicle, whose reading is mirrored into UserData.currentOdometer.
+const startDetectedTrip = async (req, points) => {
+  const { defaultPurpose } = await preferencesFor(req);
+  const [vehicle, userData] = await Promise.all([
+    Vehicle.findOrCreateDefault(req.user.id),
+    UserData.findOne({ userId: req.user.id }).select('currentOdometer')
+  ]);
+  const startOdometer = Math.max(vehicle.currentOdometer || 0, userData?.currentOdometer || 0);
+  const start = await nameLocation(req.user.id, points[0]);
+
+  const trip = new Trip({
+    userId: req.user.id,
+    purpose: defaultPurpose || 'Detected trip',
+    vehicleId: vehicle._id,
+    startTime: new Date(points[0].timestamp),
+    startOdometer,
+    status: 'active',
+    autoDetected: true,
+    needsReview: true,
+    startLocation: start.name || undefined,
+    startPlaceId: start.placeId
+  });
+  await trip.saveRoute(points);
+
+  try {
+    await UserData.findOneAndUpdate(
+      { userId: req.user.id },
+      { $set: { activeTrip: trip._id, updatedAt: new Date() } },
+      { new: true, upsert: true }
+    );
+    await advanceOdometer(req.user.id, vehicle._id, startOdometer);
+  } catch (e) {
+    console.warn('Failed to set activeTrip / baseline odometer (detected trip):', e?.message || e);
+  }
+  return trip;
+};
+
+// @desc    Ingest the background location stream; trips open and close automatically
+// @route   POST /api/trips/locations
+// @access  Private
+const ingestLocations = async (req, res) => {
+  try {
+    const { points } = req.body;
+    if (!Array.isArray(points) || !points.length) {
+      return res.status(400).json({ success: false, error: 'Provide non-empty points array' });
+    }
+    const sanitized = sanitizePoints(points);
     if (!sanitized.length) {
       return res.status(400).json({ success: false, error: 'No valid points provided' });
     }
 
-    // Append and save
-    trip.route.push(...sanitized);
+    const state = await TripDetectionState.acquire(req.user.id);
+    if (!state) {
+      res.set('Retry-After', '1');
+      return res.status(409).json({
+        success: false,
+        error: 'Another location upload is being processed, please retry'
+      });
+    }
+
+    try {
+      const { units } = await preferencesFor(req);
+      const active = await Trip.findActiveTrip(req.user.id);
+
+      // A trip started by hand takes every point; detection resumes once it has ended
+      if (active && !active.autoDetected) {
+        const { trip: updated, added, duplicates } = await active.appendRoutePoints(sanitized);
+        if (updated) {
+          try {
+            await updateLiveOdometer(req.user.id, updated, units);
+          } catch (e) {
+            console.warn('Failed to update live odometer (locations):', e?.message || e);
+          }
+          notifyTripUpdate(req.user.id);
+        }
+        const newest = sanitized.reduce((max, p) => Math.max(max, p.timestamp), state.lastTimestamp ?? -Infinity);
+        await state.release({ recording: false, tripId: null, anchor: null, buffer: [], lastTimestamp: newest });
+
+        return res.status(200).json({
+          success: true,
+          data: { recording: false, trip: updated ? convertTrip(updated, units) : null },
+          added,
+          duplicates
+        });
+      }
+
+      // An auto-detected trip the user ended or discarded is not reopened until the vehicle stops.
+      // An active one the state lost track of is picked up again rather than opening a second.
+      const current = state.toObject();
+      let trip = active;
+      if (active && (!current.recording || String(active._id) !== String(current.tripId))) {
+        current.recording = true;
+        current.anchor = active.lastPoint || null;
+        current.buffer = [];
+      }
+      if (current.recording && !current.anchor) current.anchor = sanitized[0];
+
+      const { state: next, actions, ignored } = segmentPoints(current, sanitized);
+      const completed = [];
+      let added = 0;
+      for (const action of actions) {
+        if (action.type === 'start') {
+          trip = await startDetectedTrip(req, action.points);
+          added += action.points.length;
+        } else if (action.type === 'append' && trip) {
+          const result = await trip.appendRoutePoints(action.points);
+          trip = result.trip;
+          added += result.added;
+          if (trip) {
+            try {
+              await updateLiveOdometer(req.user.id, trip, units);
+            } catch (e) {
+              console.warn('Failed to update live odometer (locations):', e?.message || e);
+            }
+          }
+        } else if (action.type === 'end' && trip) {
+          const finished = await finishTrip(req.user.id, trip, { endTime: new Date(action.timestamp), units });
+          if (finished) completed.push(finished);
+          trip = null;
+        }
+      }
+
+      await state.release({ ...next, tripId: trip ? trip._id : null });
+      if (actions.length) notifyTripUpdate(req.user.id);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          recording: Boolean(trip),
+          trip: trip ? convertTrip(trip, units) : null,
+          completed: completed.map((t) => convertTrip(t, units))
+        },
+        added,
+        ignored
+      });
+    } catch (error) {
+      await TripDetectionState.updateOne({ _id: state._id }, { $set: { lockedUntil: null } }).catch(() => {});
+      throw error;
+    }
+  } catch (error) {
+    console.error('Ingest locations error:', error);
+    res.status(500).json({ success: false, error: 'Server error while processing locations' });
+  }
+};
+
+// @desc    Confirm an auto-detected trip, optionally setting its purpose and classification
+// @route   POST /api/trips/:id/confirm
+// @access  Private
+const confirmTrip = async (req, res) => {
+  try {
+    const trip = mongoose.isValidObjectId(req.params.id)
+      ? await Trip.findOne({ _id: req.params.id, userId: req.user.id, needsReview: true })
+      : null;
+
+    if (!trip) {
+      return res.status(404).json({
+        success: false,
+        error: 'Trip awaiting review not found'
+      });
+    }
+
+    const classification = pickClassification(req.body);
+    if (classification.error) {
+      return res.status(400).json({
+        success: false,
+        error: classification.error
+      });
+    }
+    Object.assign(trip, classification.fields);
+    if (req.body.purpose) trip.purpose = String(req.body.purpose).trim();
+    trip.needsReview = false;
     await trip.save();
 
+    res.status(200).json({
+      success: true,
+      data: convertTrip(trip, (await preferencesFor(req)).units)
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: Object.values(error.errors).map((e) => e.message).join(', ')
+      });
+    }
+    console.error('Confirm trip error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while confirming trip'
+    });
+  }
+};
+
+// @desc    Discard an auto-detected trip and undo its odometer advance when nothing moved it since
+// @route   POST /api/trips/:id/discard
+// @access  Private
+const discardTrip = async (req, res) => {
+  try {
+    const trip = mongoose.isValidObjectId(req.params.id)
+      ? await Trip.findOne({ _id: req.params.id, userId: req.user.id, needsReview: true })
+      : null;
+
+    if (!trip) {
+      return res.status(404).json({
+        success: false,
+        error: 'Trip awaiting review not found'
+      });
+    }
+
+    const reading = trip.endOdometer ?? odometerAfter(trip.startOdometer, trip.distance, (await preferencesFor(req)).units);
+    await Trip.findByIdAndDelete(trip._id);
+
     try {
-      const roundDistance = (d) => {
-        const base = Math.floor(Number(d) || 0);
-        const frac = (Number(d) || 0) - base;
-        return base + (frac > 0.5 ? 1 : 0);
-      };
-      const estDistance = roundDistance(trip.distance || 0);
       await UserData.findOneAndUpdate(
-        { userId: req.user.id },
-        { $set: { currentOdometer: trip.startOdometer + estDistance, updatedAt: new Date() } }
+        { userId: req.user.id, activeTrip: trip._id },
+        { $set: { activeTrip: null, updatedAt: new Date() } }
       );
+      const vehicle = trip.vehicleId && reading > trip.startOdometer
+        ? await Vehicle.rewindOdometer(trip.vehicleId, reading, trip.startOdometer)
+        : null;
+      if (vehicle?.isDefault) {
+        await UserData.findOneAndUpdate(
+          { userId: req.user.id },
+          { $set: { currentOdometer: vehicle.currentOdometer, updatedAt: new Date() } }
+        );
+      }
     } catch (e) {
-      console.warn('Failed to update live odometer (bulk):', e?.message || e);
+      console.warn('Failed to restore odometer (discard):', e?.message || e);
     }
+    notifyTripUpdate(req.user.id);
 
-    res.status(200).json({ success: true, data: trip, added: sanitized.length });
+    res.status(200).json({
+      success: true,
+      message: 'Trip discarded successfully'
+    });
   } catch (error) {
-    console.error('Bulk add route points error:', error);
-    res.status(500).json({ success: false, error: 'Server error while adding route points' });
+    console.error('Discard trip error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while discarding trip'
+    });
   }
 };
 
 // Routes
 router.get('/', getTrips);
 router.get('/active', getActiveTrip);
-router.post('/', createTrip);
-router.post('/active/route', addRoutePoint);
-router.post('/active/route/bulk', addRoutePointsBulk);
+router.get('/active/stream', streamActiveTrip);
+router.get('/stats', getTripStats);
+router.get('/export.csv', exportLogbookCsv);
+router.get('/logbook', getLogbook);
+router.post('/', idempotent, createTrip);
+router.post('/import', importTrip);
+router.post('/active/route', limitRoutePoints, addRoutePoint);
+router.post('/active/route/bulk', limitRoutePoints, idempotent, addRoutePointsBulk);
+router.post('/locations', limitRoutePoints, ingestLocations);
 router.get('/:id', getTrip);
+router.get('/:id/export', exportTripRoute);
 router.put('/:id', updateTrip);
-router.put('/:id/end', endTrip);
+router.put('/:id/end', idempotent, endTrip);
+router.post('/:id/confirm', confirmTrip);
+router.post('/:id/discard', discardTrip);
+router.post('/:id/share', createTripShare);
+router.get('/:id/shares', getTripShares);
+router.delete('/:id/shares/:shareId', revokeTripShare);
 router.delete('/:id', deleteTrip);
 
 module.exports = router;
\ No newline at end of file
@@ -1,9 +1,27 @@
 const express = require('express');
 const UserData = require('../models/UserData');
+const Vehicle = require('../models/Vehicle');
 const { protect } = require('../middleware/auth');
+const { kmPerUnit, toKm, convertTrip, odometerFromKm, unitLabels } = require('../utils/units');
 
 const router = express.Router();
 
+// UserData.currentOdometer mirrors the default vehicle, so manual corrections go to both
+const setDefaultVehicleOdometer = async (userId, currentOdometer) => {
+  const vehicle = await Vehicle.findOrCreateDefault(userId);
+  vehicle.currentOdometer = currentOdometer;
+  await vehicle.save();
+};
+
+// Odometer readings are stored in km and exchanged in the user's units
+const serializeUserData = (userData, units) => {
+  const data = userData.toJSON();
+  data.currentOdometer = odometerFromKm(data.currentOdometer, units);
+  if (data.activeTripDetails) data.activeTripDetails = convertTrip(data.activeTripDetails, units);
+  data.units = unitLabels(units);
+  return data;
+};
+
 // @desc    Get user data
 // @route   GET /api/userdata
 // @access  Private
@@ -21,9 +39,10 @@ const getUserData = async (req, res) => {
       });
     }
 
+    const { units } = await UserData.getPreferences(req.user.id);
     res.status(200).json({
       success: true,
-      data: userData
+      data: serializeUserData(userData, units)
     });
   } catch (error) {
     console.error('Get user data error:', error);
@@ -40,16 +59,28 @@ const getUserData = async (req, res) => {
 const updateUserData = async (req, res) => {
   try {
     const { currentOdometer, activeTrip } = req.body;
-    
+    const { units } = await UserData.getPreferences(req.user.id);
+
     const updateData = {};
-    if (currentOdometer !== undefined) updateData.currentOdometer = currentOdometer;
+    if (currentOdometer !== undefined) {
+      if (!(Number(currentOdometer) >= 0)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Valid odometer reading is required'
+        });
+      }
+      updateData.currentOdometer = toKm(Number(currentOdometer), units);
+    }
     if (activeTrip !== undefined) updateData.activeTrip = activeTrip;
 
     const userData = await UserData.createOrUpdate(req.user.id, updateData);
+    if (currentOdometer !== undefined) {
+      await setDefaultVehicleOdometer(req.user.id, updateData.currentOdometer);
+    }
 
     res.status(200).json({
       success: true,
-      data: userData
+      data: serializeUserData(userData, units)
     });
   } catch (error) {
     console.error('Update user data error:', error);
@@ -67,18 +98,22 @@ const updateOdometer = async (req, res) => {
   try {
     const { currentOdometer } = req.body;
     
-    if (currentOdometer === undefined || currentOdometer < 0) {
+    if (currentOdometer === undefined || !(Number(currentOdometer) >= 0)) {
       return res.status(400).json({
         success: false,
         error: 'Valid odometer reading is required'
       });
     }
 
-    const userData = await UserData.createOrUpdate(req.user.id, { currentOdometer });
+    // Readings arrive in the user's units
+    const { units } = await UserData.getPreferences(req.user.id);
+    const reading = toKm(Number(currentOdometer), units);
+    const userData = await UserData.createOrUpdate(req.user.id, { currentOdometer: reading });
+    await setDefaultVehicleOdometer(req.user.id, reading);
 
     res.status(200).json({
       success: true,
-      data: userData
+      data: serializeUserData(userData, units)
     });
   } catch (error) {
     console.error('Update odometer error:', error);
@@ -98,9 +133,10 @@ const setActiveTrip = async (req, res) => {
     
     const userData = await UserData.createOrUpdate(req.user.id, { activeTrip: tripId });
 
+    const { units } = await UserData.getPreferences(req.user.id);
     res.status(200).json({
       success: true,
-      data: userData
+      data: serializeUserData(userData, units)
     });
   } catch (error) {
     console.error('Set active trip error:', error);
@@ -118,9 +154,10 @@ const clearActiveTrip = async (req, res) => {
   try {
     const userData = await UserData.createOrUpdate(req.user.id, { activeTrip: null });
 
+    const { units } = await UserData.getPreferences(req.user.id);
     res.status(200).json({
       success: true,
-      data: userData
+      data: serializeUserData(userData, units)
     });
   } catch (error) {
     console.error('Clear active trip error:', error);
@@ -131,11 +168,81 @@ const clearActiveTrip = async (req, res) => {
   }
 };
 
+// @desc    Get preferences
+// @route   GET /api/userdata/preferences
+// @access  Private
+const getPreferences = async (req, res) => {
+  try {
+    const preferences = await UserData.getPreferences(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: preferences
+    });
+  } catch (error) {
+    console.error('Get preferences error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @desc    Update preferences (null or empty resets a field to its default)
+// @route   PATCH /api/userdata/preferences
+// @access  Private
+const updatePreferences = async (req, res) => {
+  try {
+    const changes = Object.fromEntries(
+      Object.keys(UserData.PREFERENCE_DEFAULTS)
+        .filter((key) => req.body[key] !== undefined)
+        .map((key) => [key, req.body[key] === '' || req.body[key] === null
+          ? UserData.PREFERENCE_DEFAULTS[key]
+          : req.body[key]])
+    );
+
+    let userData = await UserData.findByUserId(req.user.id);
+    if (!userData) {
+      userData = new UserData({ userId: req.user.id, currentOdometer: 0, activeTrip: null });
+    }
+
+    const current = userData.preferences || {};
+    // The reimbursement rate is per unit of distance; keep its value when only the units change
+    if (changes.units && changes.units !== current.units && changes.reimbursementRate === undefined
+      && current.reimbursementRate != null) {
+      changes.reimbursementRate = current.reimbursementRate * kmPerUnit(changes.units) / kmPerUnit(current.units);
+    }
+
+    userData.preferences = { ...(current.toObject ? current.toObject() : current), ...changes };
+
+    await userData.save();
+
+    res.status(200).json({
+      success: true,
+      data: await UserData.getPreferences(req.user.id)
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: Object.values(error.errors).map((e) => e.message).join(', ')
+      });
+    }
+    console.error('Update preferences error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
 // Routes
 router.get('/', protect, getUserData);
 router.put('/', protect, updateUserData);
 router.put('/odometer', protect, updateOdometer);
 router.put('/active-trip', protect, setActiveTrip);
 router.delete('/active-trip', protect, clearActiveTrip);
+router.get('/preferences', protect, getPreferences);
+router.patch('/preferences', protect, updatePreferences);
 
 module.exports = router;
\ No newline at end of file
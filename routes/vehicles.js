@@ -0,0 +1,279 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Vehicle = require('../models/Vehicle');
+const Trip = require('../models/Trip');
+const Expense = require('../models/Expense');
+const UserData = require('../models/UserData');
+const { protect } = require('../middleware/auth');
+const { toKm, convertVehicle } = require('../utils/units');
+const { preferencesFor } = require('../utils/preferences');
+
+const router = express.Router();
+
+// Apply auth middleware to all routes
+router.use(protect);
+
+// Pick editable vehicle fields from a request body; odometer readings arrive in the user's units.
+// Returns { fields } or { error } for invalid values.
+const pickVehicleFields = (body, units) => {
+  const fields = {};
+  const { name, plate, fuelType, initialOdometer, currentOdometer } = body || {};
+
+  if (name !== undefined) fields.name = name;
+  if (plate !== undefined) fields.plate = plate || undefined;
+  if (fuelType !== undefined) {
+    if (!Vehicle.FUEL_TYPES.includes(fuelType)) {
+      return { error: `Fuel type must be one of: ${Vehicle.FUEL_TYPES.join(', ')}` };
+    }
+    fields.fuelType = fuelType;
+  }
+  for (const [key, value] of [['initialOdometer', initialOdometer], ['currentOdometer', currentOdometer]]) {
+    if (value === undefined) continue;
+    if (!(Number(value) >= 0)) {
+      return { error: 'Odometer reading cannot be negative' };
+    }
+    fields[key] = toKm(Number(value), units);
+  }
+  return { fields };
+};
+
+const MAKE_DEFAULT_ATTEMPTS = 3;
+const DEFAULT_CONFLICT = 'Another request changed the default vehicle, please retry';
+
+// Make `vehicle` the user's only default and mirror its odometer into UserData.
+// A concurrent request can promote another vehicle between the two writes; the unique
+// default index then rejects the save, so clear the other default again and retry.
+const makeDefault = async (userId, vehicle) => {
+  for (let attempt = 1; ; attempt++) {
+    await Vehicle.updateMany({ userId, _id: { $ne: vehicle._id }, isDefault: true }, { $set: { isDefault: false } });
+    vehicle.isDefault = true;
+    try {
+      await vehicle.save();
+      break;
+    } catch (error) {
+      if (error?.code !== 11000 || attempt >= MAKE_DEFAULT_ATTEMPTS) throw error;
+    }
+  }
+  await UserData.createOrUpdate(userId, { currentOdometer: vehicle.currentOdometer });
+};
+
+const validationMessage = (error) => (
+  error.name === 'ValidationError' ? Object.values(error.errors).map((e) => e.message).join(', ') : null
+);
+
+const findOwnVehicle = (req) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return null;
+  return Vehicle.findOne({ _id: req.params.id, userId: req.user.id });
+};
+
+// @desc    Get all vehicles for user
+// @route   GET /api/vehicles
+// @access  Private
+const getVehicles = async (req, res) => {
+  try {
+    // Ensures legacy users get their default vehicle (and trips attached to it)
+    await Vehicle.findOrCreateDefault(req.user.id);
+
+    const vehicles = await Vehicle.find({ userId: req.user.id }).sort({ isDefault: -1, createdAt: 1 });
+    const { units } = await preferencesFor(req);
+
+    res.status(200).json({
+      success: true,
+      count: vehicles.length,
+      data: vehicles.map((vehicle) => convertVehicle(vehicle, units))
+    });
+  } catch (error) {
+    console.error('Get vehicles error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching vehicles'
+    });
+  }
+};
+
+// @desc    Get single vehicle
+// @route   GET /api/vehicles/:id
+// @access  Private
+const getVehicle = async (req, res) => {
+  try {
+    const vehicle = await findOwnVehicle(req);
+
+    if (!vehicle) {
+      return res.status(404).json({
+        success: false,
+        error: 'Vehicle not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: convertVehicle(vehicle, (await preferencesFor(req)).units)
+    });
+  } catch (error) {
+    console.error('Get vehicle error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching vehicle'
+    });
+  }
+};
+
+// @desc    Create vehicle
+// @route   POST /api/vehicles
+// @access  Private
+const createVehicle = async (req, res) => {
+  try {
+    if (!req.body.name || !String(req.body.name).trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide a vehicle name'
+      });
+    }
+
+    const { fields, error } = pickVehicleFields(req.body, (await preferencesFor(req)).units);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    // Make sure the legacy default exists first so this vehicle doesn't take over old trips
+    await Vehicle.findOrCreateDefault(req.user.id);
+
+    const initialOdometer = fields.initialOdometer || 0;
+    const vehicle = await Vehicle.create({
+      ...fields,
+      userId: req.user.id,
+      initialOdometer,
+      currentOdometer: Math.max(fields.currentOdometer || 0, initialOdometer),
+      isDefault: false
+    });
+
+    if (req.body.isDefault) {
+      await makeDefault(req.user.id, vehicle);
+    }
+
+    res.status(201).json({
+      success: true,
+      data: convertVehicle(vehicle, (await preferencesFor(req)).units)
+    });
+  } catch (error) {
+    const message = validationMessage(error);
+    if (message) {
+      return res.status(400).json({ success: false, error: message });
+    }
+    if (error?.code === 11000) {
+      return res.status(409).json({ success: false, error: DEFAULT_CONFLICT });
+    }
+    console.error('Create vehicle error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while creating vehicle'
+    });
+  }
+};
+
+// @desc    Update vehicle
+// @route   PUT /api/vehicles/:id
+// @access  Private
+const updateVehicle = async (req, res) => {
+  try {
+    const vehicle = await findOwnVehicle(req);
+
+    if (!vehicle) {
+      return res.status(404).json({
+        success: false,
+        error: 'Vehicle not found'
+      });
+    }
+
+    const { fields, error } = pickVehicleFields(req.body, (await preferencesFor(req)).units);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    Object.assign(vehicle, fields);
+    await vehicle.save();
+
+    if (req.body.isDefault === true && !vehicle.isDefault) {
+      await makeDefault(req.user.id, vehicle);
+    } else if (vehicle.isDefault && fields.currentOdometer !== undefined) {
+      await UserData.createOrUpdate(req.user.id, { currentOdometer: vehicle.currentOdometer });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: convertVehicle(vehicle, (await preferencesFor(req)).units)
+    });
+  } catch (error) {
+    const message = validationMessage(error);
+    if (message) {
+      return res.status(400).json({ success: false, error: message });
+    }
+    if (error?.code === 11000) {
+      return res.status(409).json({ success: false, error: DEFAULT_CONFLICT });
+    }
+    console.error('Update vehicle error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while updating vehicle'
+    });
+  }
+};
+
+// @desc    Delete vehicle
+// @route   DELETE /api/vehicles/:id
+// @access  Private
+const deleteVehicle = async (req, res) => {
+  try {
+    const vehicle = await findOwnVehicle(req);
+
+    if (!vehicle) {
+      return res.status(404).json({
+        success: false,
+        error: 'Vehicle not found'
+      });
+    }
+
+    // Trips and expenses keep their vehicle reference for the mileage history
+    const [tripCount, expenseCount] = await Promise.all([
+      Trip.countDocuments({ userId: req.user.id, vehicleId: vehicle._id }),
+      Expense.countDocuments({ userId: req.user.id, vehicleId: vehicle._id })
+    ]);
+    if (tripCount > 0 || expenseCount > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cannot delete a vehicle that has trips or expenses'
+      });
+    }
+
+    await Vehicle.deleteOne({ _id: vehicle._id });
+
+    // Hand the default over to the oldest remaining vehicle
+    if (vehicle.isDefault) {
+      const next = await Vehicle.findOne({ userId: req.user.id }).sort({ createdAt: 1 });
+      if (next) await makeDefault(req.user.id, next);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Vehicle deleted successfully'
+    });
+  } catch (error) {
+    if (error?.code === 11000) {
+      return res.status(409).json({ success: false, error: DEFAULT_CONFLICT });
+    }
+    console.error('Delete vehicle error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while deleting vehicle'
+    });
+  }
+};
+
+// Routes
+router.get('/', getVehicles);
+router.post('/', createVehicle);
+router.get('/:id', getVehicle);
+router.put('/:id', updateVehicle);
+router.delete('/:id', deleteVehicle);
+
+module.exports = router;
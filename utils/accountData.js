@@ -0,0 +1,141 @@
+const User = require('../models/User');
+const UserData = require('../models/UserData');
+const Trip = require('../models/Trip');
+const RouteChunk = require('../models/RouteChunk');
+const Vehicle = require('../models/Vehicle');
+const Expense = require('../models/Expense');
+const SavedPlace = require('../models/SavedPlace');
+const TripShare = require('../models/TripShare');
+const TripWatcher = require('../models/TripWatcher');
+const TripDetectionState = require('../models/TripDetectionState');
+const Session = require('../models/Session');
+const AuthToken = require('../models/AuthToken');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const Organization = require('../models/Organization');
+const OrgInvitation = require('../models/OrgInvitation');
+const AuditLog = require('../models/AuditLog');
+const { writeChunk } = require('./streams');
+const { numberFromEnv } = require('./env');
+
+// Personal data export and erasure for a whole account.
+
+// How long a deletion request can be cancelled by signing in again
+// (ACCOUNT_DELETION_GRACE_DAYS, default 0 = delete immediately)
+const getDeletionGraceMs = () => numberFromEnv('ACCOUNT_DELETION_GRACE_DAYS', 0) * 24 * 60 * 60 * 1000;
+
+// Stream the account as one JSON document to a writable (usually the response).
+// Trips are written one at a time with their full routes, honouring backpressure.
+// Rejects if `out` closes first (e.g. the client disconnected).
+async function writeAccountExport(userId, out) {
+  const write = (chunk) => writeChunk(out, chunk);
+
+  const [user, userData, vehicles, expenses, sessions, tripShares, tripWatchers, places, orgs] = await Promise.all([
+    User.findById(userId),
+    UserData.findOne({ userId }),
+    Vehicle.find({ userId }).sort({ createdAt: 1 }),
+    Expense.find({ userId }).sort({ date: 1 }),
+    Session.find({ userId }).sort({ createdAt: 1 }),
+    TripShare.find({ userId }).sort({ createdAt: 1 }),
+    TripWatcher.find({ userId }).sort({ createdAt: 1 }),
+    SavedPlace.find({ userId }).sort({ createdAt: 1 }),
+    Organization.findForUser(userId)
+  ]);
+  const memberships = orgs.map((org) => {
+    const { role, joinedAt } = org.getMember(userId);
+    return { orgId: org._id, name: org.name, role, joinedAt };
+  });
+
+  await write(`{"exportedAt":${JSON.stringify(new Date().toISOString())}`);
+  await write(`,"user":${JSON.stringify(user)}`);
+  await write(`,"userData":${JSON.stringify(userData)}`);
+  await write(`,"vehicles":${JSON.stringify(vehicles)}`);
+  await write(`,"expenses":${JSON.stringify(expenses)}`);
+  await write(`,"sessions":${JSON.stringify(sessions)}`);
+  await write(`,"tripShares":${JSON.stringify(tripShares)}`);
+  await write(`,"tripWatchers":${JSON.stringify(tripWatchers)}`);
+  await write(`,"places":${JSON.stringify(places)}`);
+  await write(`,"organizations":${JSON.stringify(memberships)}`);
+  await write(',"trips":[');
+
+  const cursor = Trip.find({ userId }).sort({ startTime: 1 }).cursor();
+  let first = true;
+  try {
+    for await (const trip of cursor) {
+      const data = trip.toJSON();
+      data.route = await trip.loadFullRoute();
+      await write(`${first ? '' : ','}${JSON.stringify(data)}`);
+      first = false;
+    }
+  } finally {
+    await cursor.close().catch(() => {});
+  }
+
+  await write(']}');
+}
+
+// Remove the user from every organization. Organizations left empty are deleted;
+// when the last owner leaves, the longest-standing remaining member becomes owner.
+async function leaveOrganizations(userId) {
+  const orgs = await Organization.findForUser(userId);
+  for (const org of orgs) {
+    org.members = org.members.filter((m) => String(m.userId) !== String(userId));
+    if (!org.members.length) {
+      await OrgInvitation.deleteMany({ orgId: org._id });
+      await Organization.deleteOne({ _id: org._id });
+      continue;
+    }
+    if (!org.countOwners()) {
+      const successor = [...org.members].sort((a, b) => a.joinedAt - b.joinedAt)[0];
+      successor.role = 'owner';
+    }
+    await org.save();
+  }
+}
+
+// Erase everything stored for the account. Audit entries are kept.
+// Children go first so a failure part-way leaves the user able to retry.
+async function deleteAccountData(userId) {
+  await Session.revoke({ userId }, 'account_deleted');
+  await leaveOrganizations(userId);
+
+  const [routeChunks, trips, expenses, vehicles] = await Promise.all([
+    RouteChunk.deleteMany({ userId }),
+    Trip.deleteMany({ userId }),
+    Expense.deleteMany({ userId }),
+    Vehicle.deleteMany({ userId })
+  ]);
+  await Promise.all([
+    UserData.deleteMany({ userId }),
+    Session.deleteMany({ userId }),
+    TripShare.deleteMany({ userId }),
+    TripWatcher.deleteMany({ userId }),
+    AuthToken.deleteMany({ userId }),
+    IdempotencyKey.deleteMany({ userId }),
+    SavedPlace.deleteMany({ userId }),
+    TripDetectionState.deleteMany({ userId })
+  ]);
+  const user = await User.findById(userId).select('email');
+  if (user) {
+    await OrgInvitation.deleteMany({ email: user.email.toLowerCase() });
+  }
+  await User.deleteOne({ _id: userId });
+
+  return {
+    trips: trips.deletedCount,
+    routeChunks: routeChunks.deletedCount,
+    expenses: expenses.deletedCount,
+    vehicles: vehicles.deletedCount
+  };
+}
+
+// Finish deletions whose grace period has passed. Returns the number of accounts removed.
+async function purgeDueDeletions(now = new Date()) {
+  const due = await User.find({ deletionScheduledFor: { $ne: null, $lte: now } }).select('_id');
+  for (const { _id } of due) {
+    const counts = await deleteAccountData(_id);
+    await AuditLog.record(_id, 'account_deleted', null, { scheduled: true, ...counts });
+  }
+  return due.length;
+}
+
+module.exports = { writeAccountExport, deleteAccountData, purgeDueDeletions, getDeletionGraceMs };
@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const { numberFromEnv } = require('./env');
+
+// Short-lived access tokens (ACCESS_TOKEN_TTL_MINUTES, default 15) are renewed
+// with rotating refresh tokens (REFRESH_TOKEN_TTL_DAYS, default 30).
+const getAccessTokenTtlSeconds = () => Math.floor(numberFromEnv('ACCESS_TOKEN_TTL_MINUTES', 15) * 60);
+const getRefreshTokenTtlMs = () => numberFromEnv('REFRESH_TOKEN_TTL_DAYS', 30) * 24 * 60 * 60 * 1000;
+// How long the previous refresh token still works after a rotation (REFRESH_TOKEN_GRACE_SECONDS, default 30)
+const getRefreshGraceMs = () => numberFromEnv('REFRESH_TOKEN_GRACE_SECONDS', 30) * 1000;
+
+// Generate a JWT access token bound to a session
+const generateAccessToken = (userId, sessionId) => jwt.sign(
+  { id: userId, sid: sessionId },
+  process.env.JWT_SECRET,
+  { expiresIn: getAccessTokenTtlSeconds() }
+);
+
+// Refresh tokens are "<sessionId>.<secret>"; only the secret's hash is stored
+const newSecret = () => crypto.randomBytes(32).toString('hex');
+
+// The secret that replaces `secret` on rotation. Derived rather than random, so parallel
+// refreshes with the same token all receive the same new token instead of forking the session.
+const nextSecret = (sessionId, secret) => crypto
+  .createHmac('sha256', process.env.JWT_SECRET)
+  .update(`${sessionId}.${secret}`)
+  .digest('hex');
+
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  return sessionId && secret ? { sessionId, secret } : null;
+};
+
+const tokenResponse = (userId, session, secret) => ({
+  token: generateAccessToken(userId, session._id),
+  refreshToken: `${session._id}.${secret}`,
+  expiresIn: getAccessTokenTtlSeconds(),
+  sessionId: session._id
+});
+
+// Start a new session for a user signing in from this request's device
+// with `authMethod` ('password' or 'google')
+const issueTokens = async (userId, req, authMethod) => {
+  const secret = newSecret();
+  const session = await Session.create({
+    userId,
+    refreshTokenHash: Session.hashToken(secret),
+    authMethod,
+    deviceName: req.body?.deviceName,
+    userAgent: (req.get('User-Agent') || '').slice(0, 500),
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + getRefreshTokenTtlMs())
+  });
+  return tokenResponse(userId, session, secret);
+};
+
+// Exchange a refresh token for new tokens, rotating the refresh token.
+// The previous token still works for a short grace period (parallel refreshes from one
+// device) and gets the same new token; after that, presenting it means it leaked and the
+// session is revoked. Unknown secrets are rejected without touching the session.
+// Returns { tokens } or { error, reuse } when the token is invalid or was already used.
+const rotateRefreshToken = async (refreshToken, req) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return { error: 'Invalid refresh token' };
+
+  const session = await Session.findActive(parsed.sessionId);
+  if (!session) return { error: 'Session expired or revoked' };
+
+  const presentedHash = Session.hashToken(parsed.secret);
+  const secret = nextSecret(session._id, parsed.secret);
+  const now = new Date();
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+    {
+      $set: {
+        refreshTokenHash: Session.hashToken(secret),
+        previousRefreshTokenHash: presentedHash,
+        rotatedAt: now,
+        lastUsedAt: now,
+        ip: req.ip,
+        expiresAt: new Date(now.getTime() + getRefreshTokenTtlMs())
+      }
+    },
+    { new: true }
+  );
+  if (rotated) return { tokens: tokenResponse(rotated.userId, rotated, secret) };
+
+  // Re-read: a parallel refresh may have rotated the session since it was loaded
+  const current = await Session.findActive(session._id);
+  if (!current || current.previousRefreshTokenHash !== presentedHash) {
+    return { error: 'Invalid refresh token' };
+  }
+
+  const inGrace = now.getTime() - current.rotatedAt.getTime() <= getRefreshGraceMs();
+  if (inGrace && current.refreshTokenHash === Session.hashToken(secret)) {
+    return { tokens: tokenResponse(current.userId, current, secret) };
+  }
+
+  // The previous token used after the grace period: assume it leaked and end the session
+  await Session.revoke({ _id: session._id }, 'reuse_detected');
+  return { error: 'Refresh token reuse detected, session revoked', reuse: true };
+};
+
+module.exports = { issueTokens, rotateRefreshToken, parseRefreshToken, generateAccessToken };
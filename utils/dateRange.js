@@ -0,0 +1,86 @@
+// Helpers for from/to query parameters and time zones used in reports
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const UTC_OFFSET = /^([+-])(\d{2}):?(\d{2})?$/;
+
+// Minutes `timeZone` is ahead of UTC at the instant `ms`
+const zoneOffsetMinutes = (ms, timeZone) => {
+  const offset = UTC_OFFSET.exec(timeZone);
+  if (offset) {
+    const minutes = Number(offset[2]) * 60 + Number(offset[3] || 0);
+    return offset[1] === '-' ? -minutes : minutes;
+  }
+  const parts = {};
+  const format = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  });
+  for (const { type, value } of format.formatToParts(new Date(ms))) parts[type] = Number(value);
+  const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((local - Math.floor(ms / 1000) * 1000) / 60000);
+};
+
+// Midnight starting the given calendar day (plus `addDays`) in `timeZone`
+const startOfDay = (date, timeZone, addDays = 0) => {
+  const [year, month, day] = date.split('-').map(Number);
+  // Reject days that do not exist (2024-02-30) rather than rolling them over
+  if (isNaN(new Date(date).getTime()) || new Date(Date.UTC(year, month - 1, day)).getUTCDate() !== day) {
+    return new Date(NaN);
+  }
+  const utcMidnight = Date.UTC(year, month - 1, day + addDays);
+  if (!timeZone) return new Date(utcMidnight);
+  // Re-check the offset at the result so days starting next to a DST change land right
+  let ms = utcMidnight - zoneOffsetMinutes(utcMidnight, timeZone) * 60000;
+  ms = utcMidnight - zoneOffsetMinutes(ms, timeZone) * 60000;
+  return new Date(ms);
+};
+
+// Parse ?from=&to= into { start, end } (end exclusive). Date-only bounds are whole days in
+// `timeZone` (UTC when omitted); a date-only `to` includes that whole day.
+// Returns { range } or { error }.
+const parseDateRange = (from, to, timeZone) => {
+  const range = {};
+  if (from) {
+    const start = DATE_ONLY.test(String(from)) ? startOfDay(String(from), timeZone) : new Date(from);
+    if (isNaN(start.getTime())) return { error: 'Invalid from date' };
+    range.start = start;
+  }
+  if (to) {
+    const end = DATE_ONLY.test(String(to)) ? startOfDay(String(to), timeZone, 1) : new Date(to);
+    if (isNaN(end.getTime())) return { error: 'Invalid to date' };
+    range.end = end;
+  }
+  if (range.start && range.end && range.end <= range.start) {
+    return { error: 'The to date must be after the from date' };
+  }
+  return { range };
+};
+
+// Mongo condition for a date field from a parsed range, or undefined when unbounded
+const rangeCondition = (range) => {
+  if (!range || (!range.start && !range.end)) return undefined;
+  const condition = {};
+  if (range.start) condition.$gte = range.start;
+  if (range.end) condition.$lt = range.end;
+  return condition;
+};
+
+// Accept IANA names (Europe/Berlin) or UTC offsets (+05:30) as understood by MongoDB
+const isValidTimeZone = (tz) => {
+  if (!tz) return false;
+  if (/^[+-]\d{2}(:?\d{2})?$/.test(tz)) return true;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch (e) {
+    return false;
+  }
+};
+
+module.exports = { parseDateRange, rangeCondition, isValidTimeZone };
@@ -0,0 +1,10 @@
+// Numeric settings read from env vars, falling back to a default when unset or invalid
+
+// Positive number from `name`. `allowZero` accepts 0 for settings where it means
+// something (e.g. "disabled"); `integer` truncates like parseInt.
+const numberFromEnv = (name, fallback, { allowZero = false, integer = false } = {}) => {
+  const value = integer ? parseInt(process.env[name], 10) : parseFloat(process.env[name]);
+  return isFinite(value) && (allowZero ? value >= 0 : value > 0) ? value : fallback;
+};
+
+module.exports = { numberFromEnv };
@@ -0,0 +1,49 @@
+// Fuel economy from fill-ups using the full-to-full method: the litres put in
+// at a full fill-up (plus any partial ones since the previous full fill-up)
+// were burnt over the distance between the two odometer readings.
+
+// fillUps: [{ odometer, litres, fullTank, date }] for one vehicle
+const calculateFuelEconomy = (fillUps) => {
+  const sorted = (fillUps || [])
+    .filter((f) => f.odometer != null && f.litres != null)
+    .sort((a, b) => a.odometer - b.odometer || new Date(a.date) - new Date(b.date));
+
+  const segments = [];
+  let lastFull = null;
+  let pendingLitres = 0;
+
+  for (const fill of sorted) {
+    if (!lastFull) {
+      if (fill.fullTank !== false) lastFull = fill;
+      continue;
+    }
+    pendingLitres += fill.litres;
+    if (fill.fullTank === false) continue;
+
+    const distance = fill.odometer - lastFull.odometer;
+    if (distance > 0) {
+      segments.push({
+        from: lastFull.odometer,
+        to: fill.odometer,
+        distance,
+        litres: pendingLitres,
+        litresPer100km: (pendingLitres / distance) * 100
+      });
+    }
+    lastFull = fill;
+    pendingLitres = 0;
+  }
+
+  const distance = segments.reduce((sum, s) => sum + s.distance, 0);
+  const litres = segments.reduce((sum, s) => sum + s.litres, 0);
+
+  return {
+    fillUps: sorted.length,
+    distance,
+    litres,
+    litresPer100km: distance > 0 ? (litres / distance) * 100 : null,
+    segments
+  };
+};
+
+module.exports = { calculateFuelEconomy };
@@ -0,0 +1,365 @@
+const https = require('https');
+const http = require('http');
+const mongoose = require('mongoose');
+const GeocodeCache = require('../models/GeocodeCache');
+const { getStore, createMongoStore } = require('./rateLimitStore');
+const { numberFromEnv } = require('./env');
+
+// Pluggable geocoding. GEOCODER selects a provider:
+//   nominatim (default) - Nominatim API; public instance unless GEOCODER_URL points at a self-hosted one
+//   photon              - Photon API at GEOCODER_URL (default: the public komoot instance)
+//   offline             - no network; names points by their coordinates (tests, air-gapped setups)
+// Other providers can be added with registerProvider(name, provider).
+//
+// A provider implements:
+//   reverse(lat, lon, { timeoutMs })         -> result | null
+//   search(query, { limit, timeoutMs })      -> [result]
+//   throttled: true when requests must respect the global request throttle
+// where a result is normalized as
+//   { name, displayName, address: { houseNumber, road, suburb, city, postcode, state, country, countryCode },
+//     latitude, longitude, boundingBox: { south, west, north, east } | null }
+// and `name` is the area name used to label trips.
+//
+// Answers are cached in the GeocodeCache collection (TTL and least-recently-used bounds)
+// behind a small per-process cache. Every lookup is bounded by GEOCODER_TIMEOUT_MS,
+// including time spent waiting for the throttle; a slow geocoder yields null, never a hang.
+
+const getGeocoderOptions = () => ({
+  timeoutMs: numberFromEnv('GEOCODER_TIMEOUT_MS', 3000, { allowZero: true }),
+  // Nominatim's usage policy allows one request per second; 0 disables the throttle
+  maxPerSecond: numberFromEnv('GEOCODER_MAX_PER_SECOND', 1, { allowZero: true }),
+  cacheTtlMs: numberFromEnv('GEOCODE_CACHE_TTL_DAYS', 30, { allowZero: true }) * 24 * 60 * 60 * 1000,
+  cacheMaxEntries: numberFromEnv('GEOCODE_CACHE_MAX_ENTRIES', 50000, { allowZero: true })
+});
+
+const baseUrl = (fallback) => (process.env.GEOCODER_URL || fallback).replace(/\/$/, '');
+
+// GET a JSON document; rejects on HTTP errors and after timeoutMs
+const getJson = (url, { timeoutMs }) => new Promise((resolve, reject) => {
+  const client = url.startsWith('https:') ? https : http;
+  const userAgent = process.env.GEOCODE_USER_AGENT || 'trip-metrics-pro/1.0';
+
+  const req = client.get(url, { headers: { 'User-Agent': userAgent, Accept: 'application/json' }, timeout: timeoutMs }, (res) => {
+    let data = '';
+    res.on('data', (chunk) => { data += chunk; });
+    res.on('end', () => {
+      if (res.statusCode >= 300) return reject(new Error(`Geocoder responded with ${res.statusCode}`));
+      try {
+        resolve(JSON.parse(data));
+      } catch (e) {
+        reject(new Error('Geocoder returned invalid JSON'));
+      }
+    });
+  });
+  req.on('timeout', () => req.destroy(new Error('Geocoder timed out')));
+  req.on('error', reject);
+});
+
+// First present field, in order of preference
+const firstOf = (source, fields) => {
+  for (const f of fields) {
+    if (source && source[f]) return source[f];
+  }
+  return null;
+};
+
+// Drop empty address parts so clients can test fields directly
+const compactAddress = (address) => Object.fromEntries(
+  Object.entries(address).filter(([, value]) => value != null && value !== '')
+);
+
+const boundingBox = (south, west, north, east) => {
+  const box = { south: Number(south), west: Number(west), north: Number(north), east: Number(east) };
+  return Object.values(box).every(isFinite) ? box : null;
+};
+
+// Area names, most specific first
+const NOMINATIM_AREA_FIELDS = [
+  'suburb', 'neighbourhood', 'quarter', 'hamlet', 'village', 'town', 'city', 'municipality', 'state_district', 'state', 'country'
+];
+const PHOTON_AREA_FIELDS = ['district', 'locality', 'city', 'county', 'state', 'country'];
+
+// Nominatim jsonv2 place (reverse answer or search hit)
+const fromNominatim = (place) => {
+  const address = place.address || {};
+  const [south, north, west, east] = place.boundingbox || [];
+  return {
+    name: firstOf(address, NOMINATIM_AREA_FIELDS) || place.display_name || null,
+    displayName: place.display_name || null,
+    address: compactAddress({
+      houseNumber: address.house_number,
+      road: address.road,
+      suburb: firstOf(address, ['suburb', 'neighbourhood', 'quarter']),
+      city: firstOf(address, ['city', 'town', 'village', 'hamlet', 'municipality']),
+      postcode: address.postcode,
+      state: address.state,
+      country: address.country,
+      countryCode: address.country_code ? address.country_code.toUpperCase() : null
+    }),
+    latitude: Number(place.lat),
+    longitude: Number(place.lon),
+    boundingBox: boundingBox(south, west, north, east)
+  };
+};
+
+// Photon GeoJSON feature
+const fromPhoton = (feature) => {
+  const props = feature.properties || {};
+  const [longitude, latitude] = feature.geometry?.coordinates || [];
+  // Photon extents are [minLon, maxLat, maxLon, minLat]
+  const [west, north, east, south] = props.extent || [];
+  const road = props.street || (props.type === 'street' ? props.name : null);
+  const displayName = [
+    props.name !== road ? props.name : null,
+    [road, props.housenumber].filter(Boolean).join(' '),
+    props.city,
+    props.state,
+    props.country
+  ].filter(Boolean).join(', ');
+  return {
+    name: firstOf(props, PHOTON_AREA_FIELDS) || props.name || null,
+    displayName: displayName || null,
+    address: compactAddress({
+      houseNumber: props.housenumber,
+      road,
+      suburb: props.district,
+      city: firstOf(props, ['city', 'locality']),
+      postcode: props.postcode,
+      state: props.state,
+      country: props.country,
+      countryCode: props.countrycode ? props.countrycode.toUpperCase() : null
+    }),
+    latitude: Number(latitude),
+    longitude: Number(longitude),
+    boundingBox: props.extent ? boundingBox(south, west, north, east) : null
+  };
+};
+
+const providers = {
+  nominatim: {
+    throttled: true,
+    async reverse(lat, lon, { timeoutMs }) {
+      const url = `${baseUrl('https://nominatim.openstreetmap.org')}/reverse?format=jsonv2&addressdetails=1&lat=${encodeURIComponent(lat)}&lon=${encodeURIComponent(lon)}&zoom=14`;
+      const json = await getJson(url, { timeoutMs });
+      return json && !json.error ? fromNominatim(json) : null;
+    },
+    async search(query, { limit, timeoutMs }) {
+      const url = `${baseUrl('https://nominatim.openstreetmap.org')}/search?format=jsonv2&addressdetails=1&limit=${limit}&q=${encodeURIComponent(query)}`;
+      const json = await getJson(url, { timeoutMs });
+      return Array.isArray(json) ? json.map(fromNominatim) : [];
+    }
+  },
+
+  photon: {
+    throttled: true,
+    async reverse(lat, lon, { timeoutMs }) {
+      const url = `${baseUrl('https://photon.komoot.io')}/reverse?lat=${encodeURIComponent(lat)}&lon=${encodeURIComponent(lon)}`;
+      const json = await getJson(url, { timeoutMs });
+      const feature = json?.features?.[0];
+      return feature ? fromPhoton(feature) : null;
+    },
+    async search(query, { limit, timeoutMs }) {
+      const url = `${baseUrl('https://photon.komoot.io')}/api?limit=${limit}&q=${encodeURIComponent(query)}`;
+      const json = await getJson(url, { timeoutMs });
+      return (json?.features || []).map(fromPhoton);
+    }
+  },
+
+  // Knows no addresses: points are named by their coordinates and searches find nothing
+  offline: {
+    throttled: false,
+    async reverse(lat, lon) {
+      const name = `${lat.toFixed(4)}, ${lon.toFixed(4)}`;
+      return { name, displayName: name, address: {}, latitude: lat, longitude: lon, boundingBox: null };
+    },
+    async search() {
+      return [];
+    }
+  }
+};
+
+function registerProvider(name, provider) {
+  providers[name] = provider;
+}
+
+function getProvider() {
+  const name = process.env.GEOCODER || 'nominatim';
+  const provider = providers[name];
+  if (!provider) throw new Error(`Unknown geocoder: ${name}`);
+  return { name, provider };
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Serverless instances don't share memory, so the provider's limit is only kept
+// there when the window lives in Mongo, whatever RATE_LIMIT_STORE says
+let serverlessThrottle;
+const throttleStore = () => (process.env.VERCEL
+  ? serverlessThrottle || (serverlessThrottle = createMongoStore())
+  : getStore());
+
+// Wait for a request slot in the shared one-second window (shared across instances when
+// the throttle store is Mongo). Resolves to false if no slot frees up before `deadline`.
+async function acquireSlot(name, maxPerSecond, deadline) {
+  if (!maxPerSecond) return true;
+  for (;;) {
+    const { count, resetAt } = await throttleStore().increment(`geocode:${name}`, 1000);
+    if (count <= maxPerSecond) return true;
+    const wait = resetAt.getTime() - Date.now();
+    if (Date.now() + wait >= deadline) return false;
+    await sleep(Math.max(wait, 10));
+  }
+}
+
+// Small per-process LRU in front of the shared cache (Map keeps insertion order)
+const MEMORY_CACHE_SIZE = 500;
+const memoryCache = new Map();
+
+const rememberLocally = (key, result, expiresAt) => {
+  memoryCache.delete(key);
+  memoryCache.set(key, { result, expiresAt });
+  if (memoryCache.size > MEMORY_CACHE_SIZE) {
+    memoryCache.delete(memoryCache.keys().next().value);
+  }
+};
+
+// Mongoose queues queries while disconnected; skip the shared cache rather than wait
+const sharedCacheAvailable = () => mongoose.connection.readyState === 1;
+
+// Cached answer for key: the result (possibly null), or undefined when not cached
+async function cacheGet(key) {
+  const local = memoryCache.get(key);
+  if (local && local.expiresAt > Date.now()) {
+    rememberLocally(key, local.result, local.expiresAt);
+    return local.result;
+  }
+  if (!sharedCacheAvailable()) return undefined;
+
+  try {
+    const entry = await GeocodeCache.findOneAndUpdate(
+      { key, expiresAt: { $gt: new Date() } },
+      { $set: { lastUsedAt: new Date() } },
+      { new: true }
+    );
+    if (!entry) return undefined;
+    rememberLocally(key, entry.result, entry.expiresAt.getTime());
+    return entry.result;
+  } catch (error) {
+    console.warn('Geocode cache read failed:', error?.message || error);
+    return undefined;
+  }
+}
+
+// Counting the collection on every write is wasteful; check the LRU bound at most once a minute
+const EVICTION_INTERVAL_MS = 60 * 1000;
+let lastEvictionAt = 0;
+
+async function evictLeastRecentlyUsed(maxEntries) {
+  const now = Date.now();
+  if (now - lastEvictionAt < EVICTION_INTERVAL_MS) return;
+  lastEvictionAt = now;
+
+  const excess = (await GeocodeCache.estimatedDocumentCount()) - maxEntries;
+  if (excess <= 0) return;
+  const victims = await GeocodeCache.find().sort({ lastUsedAt: 1 }).limit(excess).select('_id');
+  await GeocodeCache.deleteMany({ _id: { $in: victims.map((v) => v._id) } });
+}
+
+async function cacheSet(key, result, options) {
+  const expiresAt = Date.now() + options.cacheTtlMs;
+  rememberLocally(key, result, expiresAt);
+  if (!sharedCacheAvailable()) return;
+  try {
+    await GeocodeCache.updateOne(
+      { key },
+      { $set: { result, lastUsedAt: new Date(), expiresAt: new Date(expiresAt) } },
+      { upsert: true }
+    );
+    await evictLeastRecentlyUsed(options.cacheMaxEntries);
+  } catch (error) {
+    console.warn('Geocode cache write failed:', error?.message || error);
+  }
+}
+
+// Run a provider call within the lookup deadline: throttle wait plus request.
+// Resolves to the provider's answer, or undefined when it failed or ran out of time.
+async function callProvider(name, provider, call, options) {
+  const deadline = Date.now() + options.timeoutMs;
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => resolve(undefined), options.timeoutMs);
+  });
+
+  const attempt = (async () => {
+    if (provider.throttled && !(await acquireSlot(name, options.maxPerSecond, deadline))) {
+      console.warn(`Geocoder ${name} is busy; skipping lookup`);
+      return undefined;
+    }
+    return call({ timeoutMs: Math.max(deadline - Date.now(), 1) });
+  })().catch((error) => {
+    console.warn(`Geocoder ${name} failed:`, error?.message || error);
+    return undefined;
+  });
+
+  try {
+    return await Promise.race([attempt, timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+const validCoordinates = (lat, lon) => (
+  typeof lat === 'number' && typeof lon === 'number' &&
+  isFinite(lat) && isFinite(lon) && Math.abs(lat) <= 90 && Math.abs(lon) <= 180
+);
+
+// Answer a question through the cache, asking the provider on a miss.
+// Resolves to { result } (which may be null or empty) or { unavailable: true }
+// when the provider failed or ran out of time; those outcomes are not cached.
+async function cachedLookup(kind, keyPart, ask) {
+  const options = getGeocoderOptions();
+  const { name, provider } = getProvider();
+  const key = `${kind}:${name}:${keyPart}`;
+
+  const cached = await cacheGet(key);
+  if (cached !== undefined) return { result: cached };
+
+  const result = await callProvider(name, provider, (opts) => ask(provider, opts), options);
+  if (result === undefined) return { unavailable: true };
+
+  await cacheSet(key, result, options);
+  return { result };
+}
+
+// Reverse geocode a point: { result } with a normalized result or null, or { unavailable: true }.
+// Coordinates are rounded to ~10 m for caching, so nearby fixes share an entry.
+async function reverseLookup(lat, lon) {
+  if (!validCoordinates(lat, lon)) return { result: null };
+  const { result = null, unavailable } = await cachedLookup(
+    'reverse',
+    `${lat.toFixed(4)},${lon.toFixed(4)}`,
+    (provider, opts) => provider.reverse(lat, lon, opts)
+  );
+  return unavailable ? { unavailable } : { result: result || null };
+}
+
+// Search addresses and places: { results } (possibly empty) or { unavailable: true }.
+// Queries are cached case- and whitespace-insensitively.
+async function searchPlaces(query, { limit = 5 } = {}) {
+  const normalized = String(query || '').trim().replace(/\s+/g, ' ');
+  if (!normalized) return { results: [] };
+  const { result, unavailable } = await cachedLookup(
+    'search',
+    `${limit}:${normalized.toLowerCase()}`,
+    (provider, opts) => (provider.search ? provider.search(normalized, { ...opts, limit }) : [])
+  );
+  return unavailable ? { unavailable } : { results: result || [] };
+}
+
+// Human-friendly area name for a point, or null
+async function reverseGeocode(lat, lon) {
+  const { result } = await reverseLookup(lat, lon);
+  return result ? result.name : null;
+}
+
+module.exports = { reverseGeocode, reverseLookup, searchPlaces, registerProvider, getProvider };
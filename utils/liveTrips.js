@@ -0,0 +1,171 @@
+const { EventEmitter } = require('events');
+const Trip = require('../models/Trip');
+const RouteChunk = require('../models/RouteChunk');
+const UserData = require('../models/UserData');
+const { fromKm, unitLabels, odometerFromKm, odometerAfter } = require('./units');
+const { numberFromEnv } = require('./env');
+
+// Live trip streams over server-sent events.
+// Streams poll the database, so they see points stored by any serverless instance;
+// writes handled by this process also wake them immediately through `notifyTripUpdate`.
+// Event ids are `<tripId>:<position>`, the append position in the trip's stored track
+// (see RouteChunk), so a reconnecting EventSource resumes from Last-Event-ID without gaps
+// or repeats, even for points stored late or by a concurrent upload.
+
+const getStreamOptions = () => ({
+  // How often streams look for points stored by other instances
+  pollMs: numberFromEnv('LIVE_POLL_SECONDS', 3) * 1000,
+  // Streams end after this long and the client reconnects (serverless functions have time limits)
+  maxMs: numberFromEnv('LIVE_STREAM_MAX_SECONDS', 300) * 1000,
+  heartbeatMs: 15000
+});
+
+const updates = new EventEmitter();
+updates.setMaxListeners(0);
+
+// Wake this process's streams for a user's trips
+const notifyTripUpdate = (userId) => {
+  updates.emit(String(userId));
+};
+
+const TRIP_FIELDS = 'userId purpose status startTime endTime startOdometer endOdometer distance pointCount lastTimestamp';
+
+// Running distance and estimated odometer, in the owner's units
+const tripProgress = (trip, units) => ({
+  id: String(trip._id),
+  status: trip.status,
+  distance: fromKm(trip.distance || 0, units),
+  estimatedOdometer: odometerFromKm(trip.endOdometer ?? odometerAfter(trip.startOdometer, trip.distance, units), units),
+  pointCount: trip.pointCount || 0,
+  units: unitLabels(units)
+});
+
+const parseLastEventId = (value) => {
+  const [tripId, position] = String(value || '').split(':');
+  const pos = Number(position);
+  return tripId && Number.isInteger(pos) && pos >= 0 ? { tripId, position: pos } : null;
+};
+
+// Stream a user's active trip to `res`.
+// options.checkAccess: async () => boolean, re-checked on every poll (watcher revocation)
+// options.waitForTrip: keep the stream open while no trip is active (watchers); otherwise
+//   the stream ends when there is no trip to follow
+async function streamLiveTrip(req, res, { userId, checkAccess = null, waitForTrip = false }) {
+  const { pollMs, maxMs, heartbeatMs } = getStreamOptions();
+  const { units } = await UserData.getPreferences(userId);
+  const resume = parseLastEventId(req.get('Last-Event-ID'));
+
+  let tripId = null;
+  let position = 0;
+  let closed = false;
+  let polling = false;
+  let pollAgain = false;
+
+  res.set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.status(200);
+  res.flushHeaders();
+  res.write(`retry: ${Math.max(1000, pollMs)}\n\n`);
+
+  const send = (event, data, id) => {
+    if (closed) return;
+    res.write(`${id ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const timers = [];
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    timers.forEach(clearTimeout);
+    updates.off(String(userId), wake);
+    res.end();
+  };
+
+  const poll = async () => {
+    if (checkAccess && !(await checkAccess())) {
+      send('revoked', { message: 'Access to this live trip has been revoked' });
+      return close();
+    }
+
+    if (!tripId) {
+      const active = await Trip.findActiveTrip(userId).select(TRIP_FIELDS);
+      if (!active) {
+        if (!waitForTrip) {
+          send('ended', { message: 'No active trip' });
+          close();
+        }
+        return;
+      }
+      tripId = String(active._id);
+      position = resume && resume.tripId === tripId ? resume.position : 0;
+      send('trip', {
+        ...tripProgress(active, units),
+        purpose: active.purpose,
+        startTime: active.startTime,
+        startOdometer: odometerFromKm(active.startOdometer, units)
+      });
+    }
+
+    const trip = await Trip.findById(tripId).select(TRIP_FIELDS);
+    if (!trip) {
+      send('ended', { id: tripId, message: 'Trip was deleted' });
+      return close();
+    }
+
+    const stored = await RouteChunk.countPoints(tripId);
+    // The track was rewritten (or the id predates positions): send it again from the start
+    if (position > stored) position = 0;
+    if (stored > position) {
+      const batch = await RouteChunk.loadPointsFrom(tripId, position);
+      position = batch.position;
+      if (batch.points.length) {
+        send('points', {
+          ...tripProgress(trip, units),
+          points: batch.points.map(({ latitude, longitude, timestamp, accuracy }) => ({ latitude, longitude, timestamp, accuracy }))
+        }, `${tripId}:${position}`);
+      }
+    }
+
+    if (trip.status === 'completed') {
+      send('ended', { ...tripProgress(trip, units), endTime: trip.endTime }, `${tripId}:${position}`);
+      close();
+    }
+  };
+
+  // Never run two polls at once; a wake-up during a poll triggers one more
+  const runPoll = async () => {
+    if (closed) return;
+    if (polling) {
+      pollAgain = true;
+      return;
+    }
+    polling = true;
+    try {
+      do {
+        pollAgain = false;
+        await poll();
+      } while (pollAgain && !closed);
+    } catch (error) {
+      console.error('Live trip stream error:', error);
+      send('error', { message: 'Live updates are temporarily unavailable' });
+      close();
+    } finally {
+      polling = false;
+    }
+  };
+  const wake = () => { runPoll(); };
+
+  updates.on(String(userId), wake);
+  timers.push(setInterval(runPoll, pollMs));
+  timers.push(setInterval(() => !closed && res.write(': ping\n\n'), heartbeatMs));
+  timers.push(setTimeout(close, maxMs));
+  req.on('close', close);
+
+  await runPoll();
+}
+
+module.exports = { streamLiveTrip, notifyTripUpdate };
@@ -0,0 +1,125 @@
+const { fromKm, odometerFromKm, unitLabels } = require('./units');
+const { round } = require('./numbers');
+
+// Mileage logbook rows for accountants: CSV export and print-ready JSON.
+// Distances and odometer readings are in the user's units.
+
+const LOGBOOK_FIELDS = [
+  'startTime', 'startOdometer', 'endOdometer', 'odometerDistance', 'distance', 'purpose',
+  'category', 'client', 'project', 'startLocation', 'endLocation', 'endTime'
+];
+
+const CSV_COLUMNS = [
+  ['date', 'Date'],
+  ['startTime', 'Start time'],
+  ['endTime', 'End time'],
+  ['startOdometer', 'Start odometer'],
+  ['endOdometer', 'End odometer'],
+  ['odometerDistance', 'Odometer distance (%unit%)'],
+  ['gpsDistance', 'GPS distance (%unit%)'],
+  ['purpose', 'Purpose'],
+  ['category', 'Category'],
+  ['client', 'Client'],
+  ['project', 'Project'],
+  ['startLocation', 'Start location'],
+  ['endLocation', 'End location']
+];
+
+// Date and time parts in the requested time zone
+const formatParts = (date, timeZone) => {
+  if (!date) return { date: '', time: '', month: '' };
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(new Date(date)).map((p) => [p.type, p.value]));
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`,
+    month: `${parts.year}-${parts.month}`
+  };
+};
+
+// One logbook row from a lean trip document
+const toLogbookRow = (trip, timeZone = 'UTC', units = 'metric') => {
+  const start = formatParts(trip.startTime, timeZone);
+  const end = formatParts(trip.endTime, timeZone);
+  const startOdometer = odometerFromKm(trip.startOdometer, units);
+  const endOdometer = odometerFromKm(trip.endOdometer ?? null, units);
+  const odometerDistance = endOdometer != null ? round(endOdometer - startOdometer, 3) : 0;
+  return {
+    id: String(trip._id),
+    month: start.month,
+    date: start.date,
+    startTime: start.time,
+    endTime: end.time,
+    startOdometer,
+    endOdometer,
+    odometerDistance,
+    gpsDistance: round(fromKm(trip.distance || 0, units), 2),
+    purpose: trip.purpose || '',
+    category: trip.category || '',
+    client: trip.client || '',
+    project: trip.project || '',
+    startLocation: trip.startLocation || '',
+    endLocation: trip.endLocation || ''
+  };
+};
+
+// Quote a CSV cell; cells that spreadsheets would run as formulas are prefixed with '
+const csvCell = (value) => {
+  let text = value == null ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text) && typeof value !== 'number') text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvHeader = (units = 'metric') => CSV_COLUMNS
+  .map(([, label]) => csvCell(label.replace('%unit%', unitLabels(units).distance)))
+  .join(',') + '\r\n';
+
+const csvRow = (row) => CSV_COLUMNS.map(([key]) => csvCell(row[key])).join(',') + '\r\n';
+
+const emptyTotals = () => ({ trips: 0, odometerDistance: 0, gpsDistance: 0 });
+
+const addToTotals = (totals, row) => {
+  totals.trips += 1;
+  totals.odometerDistance += row.odometerDistance;
+  totals.gpsDistance += row.gpsDistance;
+};
+
+const roundTotals = (totals) => ({
+  ...totals,
+  odometerDistance: round(totals.odometerDistance, 3),
+  gpsDistance: round(totals.gpsDistance, 2)
+});
+
+// Incrementally build { months: [{ month, trips, subtotal }], totals } from rows in date order
+const createLogbookBuilder = () => {
+  const months = [];
+  const totals = emptyTotals();
+
+  return {
+    add(row) {
+      let current = months[months.length - 1];
+      if (!current || current.month !== row.month) {
+        current = { month: row.month, trips: [], subtotal: emptyTotals() };
+        months.push(current);
+      }
+      current.trips.push(row);
+      addToTotals(current.subtotal, row);
+      addToTotals(totals, row);
+    },
+    result() {
+      return {
+        months: months.map((m) => ({ ...m, subtotal: roundTotals(m.subtotal) })),
+        totals: roundTotals(totals)
+      };
+    }
+  };
+};
+
+module.exports = { LOGBOOK_FIELDS, formatParts, toLogbookRow, csvHeader, csvRow, createLogbookBuilder };
@@ -0,0 +1,79 @@
+const fs = require('fs');
+const path = require('path');
+const https = require('https');
+const http = require('http');
+
+// Pluggable mail delivery. MAIL_TRANSPORT selects a transport:
+//   console           - print messages to the log; the default outside production,
+//                       refused in production since messages carry sign-in tokens
+//   file              - write each message as JSON into MAIL_FILE_DIR
+//   http              - POST each message as JSON to MAIL_HTTP_URL (e.g. a provider relay)
+// Other transports can be added with registerTransport(name, send).
+
+const transports = {
+  console: async (message) => {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+  },
+
+  file: async (message) => {
+    const dir = process.env.MAIL_FILE_DIR || path.join(process.cwd(), 'tmp', 'mail');
+    await fs.promises.mkdir(dir, { recursive: true });
+    const name = `${Date.now()}-${message.to.replace(/[^\w.@-]/g, '_')}.json`;
+    await fs.promises.writeFile(path.join(dir, name), JSON.stringify(message, null, 2));
+  },
+
+  http: (message) => new Promise((resolve, reject) => {
+    const url = process.env.MAIL_HTTP_URL;
+    if (!url) return reject(new Error('MAIL_HTTP_URL is not set'));
+
+    const body = JSON.stringify(message);
+    const client = url.startsWith('https:') ? https : http;
+    const headers = { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) };
+    if (process.env.MAIL_HTTP_TOKEN) headers.Authorization = `Bearer ${process.env.MAIL_HTTP_TOKEN}`;
+
+    const req = client.request(url, { method: 'POST', headers, timeout: 10000 }, (res) => {
+      res.resume();
+      res.on('end', () => (res.statusCode < 300
+        ? resolve()
+        : reject(new Error(`Mail relay responded with ${res.statusCode}`))));
+    });
+    req.on('timeout', () => req.destroy(new Error('Mail relay timed out')));
+    req.on('error', reject);
+    req.end(body);
+  })
+};
+
+function registerTransport(name, send) {
+  transports[name] = send;
+}
+
+// Link to a frontend page carrying an emailed token
+function frontendUrl(pathname, token) {
+  const base = (process.env.FRONTEND_URL || 'http://localhost:8080').replace(/\/$/, '');
+  return `${base}${pathname}?token=${encodeURIComponent(token)}`;
+}
+
+// Name of the configured transport. Production must configure a real one.
+function transportName() {
+  const production = process.env.NODE_ENV === 'production';
+  const name = process.env.MAIL_TRANSPORT || (production ? null : 'console');
+  if (!name) throw new Error('MAIL_TRANSPORT must be set in production');
+  if (production && name === 'console') {
+    throw new Error('The console mail transport is disabled in production');
+  }
+  return name;
+}
+
+// Send { to, subject, text, html? } through the configured transport
+async function sendMail(message) {
+  const name = transportName();
+  const send = transports[name];
+  if (!send) throw new Error(`Unknown mail transport: ${name}`);
+
+  return send({
+    from: process.env.MAIL_FROM || 'Trip Metrics Pro <no-reply@tripmetrics.app>',
+    ...message
+  });
+}
+
+module.exports = { sendMail, registerTransport, frontendUrl };
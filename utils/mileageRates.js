@@ -0,0 +1,47 @@
+// Per-kilometre reimbursement rates by trip category.
+// Override with MILEAGE_RATES (JSON, e.g. {"business":0.45,"medical":0.13}) and MILEAGE_CURRENCY.
+
+// Defaults: 2025 IRS per-mile rates converted to kilometres
+const DEFAULT_RATES = {
+  business: 0.435,
+  medical: 0.13,
+  charity: 0.087,
+  commute: 0,
+  personal: 0
+};
+
+const parseRates = (value) => {
+  if (!value) return {};
+  try {
+    const parsed = typeof value === 'string' ? JSON.parse(value) : value;
+    return Object.fromEntries(
+      Object.entries(parsed || {})
+        .map(([k, v]) => [k, Number(v)])
+        .filter(([, v]) => isFinite(v) && v >= 0)
+    );
+  } catch (e) {
+    console.warn('Invalid MILEAGE_RATES, using defaults:', e?.message || e);
+    return {};
+  }
+};
+
+// Parse a "business:0.5,medical:0.2" query string into a rate map
+const parseRateQuery = (value) => {
+  if (!value) return {};
+  return Object.fromEntries(
+    String(value).split(',')
+      .map((pair) => pair.split(':').map((s) => s.trim()))
+      .filter(([k, v]) => k && v !== undefined && isFinite(Number(v)) && Number(v) >= 0)
+      .map(([k, v]) => [k, Number(v)])
+  );
+};
+
+const getMileageRates = (overrides = {}) => ({
+  ...DEFAULT_RATES,
+  ...parseRates(process.env.MILEAGE_RATES),
+  ...overrides
+});
+
+const getMileageCurrency = () => process.env.MILEAGE_CURRENCY || 'USD';
+
+module.exports = { getMileageRates, getMileageCurrency, parseRateQuery };
@@ -0,0 +1,7 @@
+// Round to a number of decimal places; non-numbers count as 0
+const round = (n, digits = 2) => {
+  const f = Math.pow(10, digits);
+  return Math.round((Number(n) || 0) * f) / f;
+};
+
+module.exports = { round };
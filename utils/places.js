@@ -0,0 +1,23 @@
+const SavedPlace = require('../models/SavedPlace');
+const { reverseGeocode } = require('./geocoder');
+
+// Name a route point: the user's saved place when it lies inside one, otherwise
+// whatever reverse geocoding returns. Resolves to { placeId, name }; both are null
+// when nothing could be found. Geocoding failures are logged, not thrown.
+async function nameLocation(userId, point) {
+  if (!point || typeof point.latitude !== 'number' || typeof point.longitude !== 'number') {
+    return { placeId: null, name: null };
+  }
+
+  const place = await SavedPlace.matchPoint(userId, point);
+  if (place) return { placeId: place._id, name: place.name };
+
+  try {
+    return { placeId: null, name: await reverseGeocode(point.latitude, point.longitude) };
+  } catch (geoErr) {
+    console.warn('Reverse geocode failed:', geoErr?.message || geoErr);
+    return { placeId: null, name: null };
+  }
+}
+
+module.exports = { nameLocation };
@@ -0,0 +1,9 @@
+const UserData = require('../models/UserData');
+
+// The caller's preferences, loaded once per request
+const preferencesFor = (req) => {
+  if (!req.preferences) req.preferences = UserData.getPreferences(req.user.id);
+  return req.preferences;
+};
+
+module.exports = { preferencesFor };
@@ -0,0 +1,110 @@
+const RateLimit = require('../models/RateLimit');
+
+// Pluggable counter storage for rate limiting. RATE_LIMIT_STORE selects a store:
+//   memory (default) - per-process Map; fine for a single long-running server
+//   mongo            - RateLimit collection, shared by all serverless instances
+// Other stores can be added with registerStore(name, store).
+//
+// A store implements fixed windows:
+//   increment(key, windowMs) -> { count, resetAt }  count includes this hit
+//   get(key)                 -> { count, resetAt } | null
+//   reset(key)
+
+const MEMORY_SWEEP_SIZE = 10000;
+
+function createMemoryStore() {
+  const counters = new Map();
+
+  const live = (key, now) => {
+    const entry = counters.get(key);
+    if (entry && entry.resetAt.getTime() <= now) {
+      counters.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  // Drop expired windows once the map grows, so one-off keys don't pile up
+  const sweep = (now) => {
+    if (counters.size < MEMORY_SWEEP_SIZE) return;
+    for (const [key, entry] of counters) {
+      if (entry.resetAt.getTime() <= now) counters.delete(key);
+    }
+  };
+
+  return {
+    async increment(key, windowMs) {
+      const now = Date.now();
+      sweep(now);
+      let entry = live(key, now);
+      if (!entry) {
+        entry = { count: 0, resetAt: new Date(now + windowMs) };
+        counters.set(key, entry);
+      }
+      entry.count += 1;
+      return { count: entry.count, resetAt: entry.resetAt };
+    },
+
+    async get(key) {
+      const entry = live(key, Date.now());
+      return entry ? { count: entry.count, resetAt: entry.resetAt } : null;
+    },
+
+    async reset(key) {
+      counters.delete(key);
+    }
+  };
+}
+
+function createMongoStore() {
+  return {
+    async increment(key, windowMs) {
+      const now = new Date();
+      const inWindow = { $gt: ['$resetAt', now] };
+      // One atomic update: count up inside the window, otherwise start a new one
+      const update = [{
+        $set: {
+          count: { $cond: [inWindow, { $add: ['$count', 1] }, 1] },
+          resetAt: { $cond: [inWindow, '$resetAt', new Date(now.getTime() + windowMs)] }
+        }
+      }];
+
+      let doc;
+      try {
+        doc = await RateLimit.findOneAndUpdate({ key }, update, { upsert: true, new: true });
+      } catch (error) {
+        // Two first hits raced on the upsert; the loser updates the winner's document
+        if (error?.code !== 11000) throw error;
+        doc = await RateLimit.findOneAndUpdate({ key }, update, { new: true });
+      }
+      return { count: doc.count, resetAt: doc.resetAt };
+    },
+
+    async get(key) {
+      const doc = await RateLimit.findOne({ key, resetAt: { $gt: new Date() } });
+      return doc ? { count: doc.count, resetAt: doc.resetAt } : null;
+    },
+
+    async reset(key) {
+      await RateLimit.deleteOne({ key });
+    }
+  };
+}
+
+const stores = {
+  memory: createMemoryStore(),
+  mongo: createMongoStore()
+};
+
+function registerStore(name, store) {
+  stores[name] = store;
+}
+
+function getStore() {
+  const name = process.env.RATE_LIMIT_STORE || 'memory';
+  const store = stores[name];
+  if (!store) throw new Error(`Unknown rate limit store: ${name}`);
+  return store;
+}
+
+module.exports = { getStore, registerStore, createMemoryStore, createMongoStore };
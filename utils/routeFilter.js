@@ -0,0 +1,82 @@
+const { haversineDistance } = require('./geo');
+const { numberFromEnv } = require('./env');
+
+// GPS noise filtering applied before summing route distance.
+// Thresholds can be tuned per deployment through env vars.
+const getFilterOptions = (overrides = {}) => ({
+  // Drop fixes whose reported accuracy radius is worse than this (metres)
+  maxAccuracy: numberFromEnv('GPS_MAX_ACCURACY_METERS', 50, { allowZero: true }),
+  // Moves shorter than this from the last accepted point are treated as jitter (metres)
+  minMove: numberFromEnv('GPS_MIN_MOVE_METERS', 10, { allowZero: true }),
+  // Segments faster than this are treated as teleporting fixes (km/h)
+  maxSpeed: numberFromEnv('GPS_MAX_SPEED_KMH', 250, { allowZero: true }),
+  ...overrides
+});
+
+// Decide whether `point` should be kept given the last accepted point.
+// Returns null when accepted, otherwise the rejection reason.
+const rejectReason = (anchor, point, options) => {
+  if (Number(point.accuracy) > options.maxAccuracy) return 'accuracy';
+  if (!anchor) return null;
+
+  const km = haversineDistance(anchor, point);
+  const meters = km * 1000;
+  // Both fixes are uncertain by their accuracy radius, so moves inside the tighter one are noise
+  const noiseFloor = Math.max(options.minMove, Math.min(Number(anchor.accuracy) || 0, Number(point.accuracy) || 0));
+  if (meters < noiseFloor) return 'stationary';
+
+  const hours = (Number(point.timestamp) - Number(anchor.timestamp)) / 3600000;
+  if (hours <= 0 || km / hours > options.maxSpeed) return 'speed';
+
+  return null;
+};
+
+// Run the pipeline over new points, continuing from a previous state so live
+// appends only compute the new segments.
+// state: { anchor: last accepted point, previous: last raw point }
+// Returns { points, distance, rawDistance, discarded, anchor, previous }
+const filterPoints = (state, newPoints, overrides) => {
+  const options = getFilterOptions(overrides);
+  const points = [];
+  const discarded = { accuracy: 0, stationary: 0, speed: 0, total: 0 };
+  let anchor = state?.anchor || null;
+  let previous = state?.previous || null;
+  let distance = 0;
+  let rawDistance = 0;
+
+  (newPoints || []).forEach((point) => {
+    if (previous) rawDistance += haversineDistance(previous, point);
+    previous = point;
+
+    const reason = rejectReason(anchor, point, options);
+    if (reason) {
+      discarded[reason] += 1;
+      discarded.total += 1;
+      return;
+    }
+    if (anchor) distance += haversineDistance(anchor, point);
+    anchor = point;
+    points.push(point);
+  });
+
+  return { points, distance, rawDistance, discarded, anchor, previous };
+};
+
+// Run the full pipeline over a route.
+// Returns { points, distance, rawDistance, discarded: { accuracy, stationary, speed, total }, anchor, previous }
+const filterRoute = (route, overrides) => filterPoints(null, route, overrides);
+
+// Sort points by timestamp and keep only the first point per timestamp
+const normalizeRoute = (points) => {
+  const seen = new Set();
+  return (points || [])
+    .slice()
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .filter((p) => {
+      if (seen.has(p.timestamp)) return false;
+      seen.add(p.timestamp);
+      return true;
+    });
+};
+
+module.exports = { filterRoute, filterPoints, normalizeRoute, rejectReason, getFilterOptions };
@@ -0,0 +1,56 @@
+const { numberFromEnv } = require('./env');
+
+// Douglas–Peucker simplification for preview routes stored on the Trip document
+
+const getTolerance = () => numberFromEnv('ROUTE_SIMPLIFY_TOLERANCE_METERS', 10, { allowZero: true });
+
+// Perpendicular distance (metres) from p to segment a-b on a local equirectangular projection
+function segmentDistance(p, a, b) {
+  const R = 6371000;
+  const lat0 = a.latitude * Math.PI / 180;
+  const toXY = (q) => ({
+    x: (q.longitude - a.longitude) * Math.PI / 180 * Math.cos(lat0) * R,
+    y: (q.latitude - a.latitude) * Math.PI / 180 * R
+  });
+  const P = toXY(p);
+  const B = toXY(b);
+  const lenSq = B.x * B.x + B.y * B.y;
+  if (lenSq === 0) return Math.sqrt(P.x * P.x + P.y * P.y);
+  const t = Math.max(0, Math.min(1, (P.x * B.x + P.y * B.y) / lenSq));
+  const dx = P.x - t * B.x;
+  const dy = P.y - t * B.y;
+  return Math.sqrt(dx * dx + dy * dy);
+}
+
+// Returns a subset of points (always keeping the first and last) within `tolerance` metres of the original
+function simplifyRoute(points, tolerance = getTolerance()) {
+  const route = points || [];
+  if (route.length <= 2 || tolerance <= 0) return route.slice();
+
+  const keep = new Array(route.length).fill(false);
+  keep[0] = true;
+  keep[route.length - 1] = true;
+
+  // Iterative to avoid deep recursion on very long tracks
+  const stack = [[0, route.length - 1]];
+  while (stack.length) {
+    const [first, last] = stack.pop();
+    let maxDist = 0;
+    let index = -1;
+    for (let i = first + 1; i < last; i++) {
+      const d = segmentDistance(route[i], route[first], route[last]);
+      if (d > maxDist) {
+        maxDist = d;
+        index = i;
+      }
+    }
+    if (index !== -1 && maxDist > tolerance) {
+      keep[index] = true;
+      stack.push([first, index], [index, last]);
+    }
+  }
+
+  return route.filter((_, i) => keep[i]);
+}
+
+module.exports = { simplifyRoute };
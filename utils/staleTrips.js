@@ -0,0 +1,90 @@
+const Trip = require('../models/Trip');
+const UserData = require('../models/UserData');
+const { finishTrip } = require('./tripLifecycle');
+const { numberFromEnv } = require('./env');
+
+// Watchdog for trips left active when the app was killed or lost connectivity.
+// Runs from the cron endpoint on Vercel and on an interval when run as a server.
+// The Vercel cron is daily (Hobby plans allow nothing more frequent), so starting a
+// trip or fetching the active one also closes a stale trip on the spot.
+
+// Trips with no route point for this long are closed (STALE_TRIP_MINUTES, default 120)
+const getStaleTripMs = () => numberFromEnv('STALE_TRIP_MINUTES', 120) * 60 * 1000;
+
+// Time of a trip's last sign of life: its newest point, or its start when it has none
+const lastActivity = (trip) => (trip.lastTimestamp != null ? trip.lastTimestamp : trip.startTime.getTime());
+
+const isStale = (trip, now = new Date()) => now.getTime() - lastActivity(trip) >= getStaleTripMs();
+
+// End a stale trip at its last point rather than now, so duration and average speed
+// only cover the recorded part. Trips without points end a second after they started.
+// Resolves to null when points arrived meanwhile; a later run looks at it again.
+async function closeStaleTrip(trip) {
+  trip.autoClosed = true;
+  const endTime = new Date(Math.max(lastActivity(trip), trip.startTime.getTime() + 1000));
+  return finishTrip(trip.userId, trip, { endTime, attempts: 1 });
+}
+
+// Point UserData.activeTrip at the user's actual active trip, or clear it
+async function reconcileActiveTrips() {
+  let fixed = 0;
+  const pointing = await UserData.find({ activeTrip: { $ne: null } }).select('userId activeTrip');
+  for (const userData of pointing) {
+    const active = await Trip.findActiveTrip(userData.userId).select('_id');
+    const actual = active ? active._id : null;
+    if (String(actual) !== String(userData.activeTrip)) {
+      await UserData.updateOne(
+        { _id: userData._id, activeTrip: userData.activeTrip },
+        { $set: { activeTrip: actual, updatedAt: new Date() } }
+      );
+      fixed += 1;
+    }
+  }
+  return fixed;
+}
+
+// Close every stale active trip and reconcile UserData.activeTrip.
+// Returns { closed, reconciled }.
+async function closeStaleTrips(now = new Date()) {
+  const cutoff = now.getTime() - getStaleTripMs();
+  const candidates = await Trip.find({
+    status: 'active',
+    $or: [
+      { lastTimestamp: { $lte: cutoff } },
+      { lastTimestamp: null, startTime: { $lte: new Date(cutoff) } }
+    ]
+  }).select('_id');
+
+  let closed = 0;
+  for (const { _id } of candidates) {
+    // Reload: points may have arrived since the query
+    const trip = await Trip.findOne({ _id, status: 'active' });
+    if (!trip || !isStale(trip, now)) continue;
+    try {
+      if (await closeStaleTrip(trip)) closed += 1;
+    } catch (error) {
+      console.error(`Failed to close stale trip ${_id}:`, error?.message || error);
+    }
+  }
+
+  const reconciled = await reconcileActiveTrips();
+  return { closed, reconciled };
+}
+
+// Run the watchdog every STALE_TRIP_CHECK_MINUTES (default 15; 0 disables) in a long-running server
+function startStaleTripWatchdog() {
+  const intervalMs = numberFromEnv('STALE_TRIP_CHECK_MINUTES', 15, { allowZero: true }) * 60 * 1000;
+  if (!intervalMs) return null;
+
+  const timer = setInterval(() => {
+    closeStaleTrips()
+      .then(({ closed, reconciled }) => {
+        if (closed || reconciled) console.log(`Stale trip watchdog: closed ${closed}, reconciled ${reconciled}`);
+      })
+      .catch((error) => console.error('Stale trip watchdog error:', error?.message || error));
+  }, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+module.exports = { getStaleTripMs, isStale, closeStaleTrip, closeStaleTrips, reconcileActiveTrips, startStaleTripWatchdog };
@@ -0,0 +1,35 @@
+// Backpressure-aware writes for responses streamed from database cursors
+
+// Error for a stream that was closed (e.g. the client disconnected) before it drained
+const prematureClose = () => Object.assign(
+  new Error('Stream closed before it drained'),
+  { code: 'ERR_STREAM_PREMATURE_CLOSE' }
+);
+
+const isPrematureClose = (error) => error?.code === 'ERR_STREAM_PREMATURE_CLOSE';
+
+// Wait for 'drain', failing instead of hanging when the stream closes or errors first
+const waitForDrain = (stream) => new Promise((resolve, reject) => {
+  const settle = (error) => {
+    stream.off('drain', onDrain);
+    stream.off('close', onClose);
+    stream.off('error', onError);
+    if (error) reject(error);
+    else resolve();
+  };
+  const onDrain = () => settle();
+  const onClose = () => settle(prematureClose());
+  const onError = (error) => settle(error);
+
+  stream.on('drain', onDrain);
+  stream.on('close', onClose);
+  stream.on('error', onError);
+});
+
+// Write a chunk, waiting for the stream to drain when its buffer is full
+async function writeChunk(stream, chunk) {
+  if (stream.destroyed || stream.writableEnded) throw prematureClose();
+  if (!stream.write(chunk)) await waitForDrain(stream);
+}
+
+module.exports = { writeChunk, waitForDrain, isPrematureClose };
@@ -0,0 +1,158 @@
+// Parse GPX or GeoJSON tracks into tripPointSchema-shaped points
+// ({ latitude, longitude, timestamp, accuracy }), sorted by timestamp.
+// Points without a usable time are dropped since trips are built from timestamps.
+
+function decodeXml(value) {
+  return String(value)
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+function parseTime(value) {
+  if (value == null || value === '') return null;
+  if (typeof value === 'number') return isFinite(value) ? value : null;
+  const ms = Date.parse(value);
+  return isNaN(ms) ? null : ms;
+}
+
+function makePoint(lat, lon, time, accuracy) {
+  const latitude = Number(lat);
+  const longitude = Number(lon);
+  const timestamp = parseTime(time);
+  if (!isFinite(latitude) || !isFinite(longitude) || timestamp == null) return null;
+  if (latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180) return null;
+  const acc = Number(accuracy);
+  return {
+    latitude,
+    longitude,
+    timestamp,
+    // Tracks from other loggers rarely carry accuracy; 0 means "unknown" here
+    accuracy: isFinite(acc) && acc >= 0 ? acc : 0
+  };
+}
+
+function tagValue(xml, tag) {
+  const match = xml.match(new RegExp(`<(?:\\w+:)?${tag}\\b[^>]*>([\\s\\S]*?)</(?:\\w+:)?${tag}>`, 'i'));
+  return match ? decodeXml(match[1].trim()) : null;
+}
+
+function attrValue(attrs, name) {
+  const match = attrs.match(new RegExp(`\\b${name}\\s*=\\s*["']([^"']*)["']`, 'i'));
+  return match ? match[1] : null;
+}
+
+// Minimal GPX reader: track points first, falling back to route points
+function parseGpx(xml) {
+  const text = String(xml || '');
+  const points = [];
+
+  for (const tag of ['trkpt', 'rtept']) {
+    const re = new RegExp(`<${tag}\\b([^>]*?)(?:/>|>([\\s\\S]*?)</${tag}>)`, 'gi');
+    let match;
+    while ((match = re.exec(text)) !== null) {
+      const attrs = match[1] || '';
+      const body = match[2] || '';
+      const point = makePoint(
+        attrValue(attrs, 'lat'),
+        attrValue(attrs, 'lon'),
+        tagValue(body, 'time'),
+        tagValue(body, 'accuracy')
+      );
+      if (point) points.push(point);
+    }
+    if (points.length) break;
+  }
+
+  return {
+    name: tagValue(text.replace(/<trkseg[\s\S]*$/i, ''), 'name'),
+    points: sortPoints(points)
+  };
+}
+
+// Flatten LineString / MultiLineString / Point geometries with their time arrays
+function collectGeoJsonPoints(geometry, properties, points) {
+  if (!geometry) return;
+  const props = properties || {};
+  const times = props.coordTimes || props.times || null;
+  const accuracies = props.accuracies || null;
+
+  const pushCoord = (coord, time, accuracy) => {
+    if (!Array.isArray(coord)) return;
+    // Some loggers store the timestamp as a 4th coordinate value
+    const t = time != null ? time : coord[3];
+    const point = makePoint(coord[1], coord[0], t, accuracy);
+    if (point) points.push(point);
+  };
+
+  switch (geometry.type) {
+    case 'Point':
+      pushCoord(geometry.coordinates, props.time ?? props.timestamp, props.accuracy);
+      break;
+    case 'LineString':
+      (geometry.coordinates || []).forEach((c, i) => pushCoord(c, times?.[i], accuracies?.[i]));
+      break;
+    case 'MultiLineString':
+      (geometry.coordinates || []).forEach((line, li) => {
+        (line || []).forEach((c, i) => pushCoord(c, times?.[li]?.[i], accuracies?.[li]?.[i]));
+      });
+      break;
+    case 'GeometryCollection':
+      (geometry.geometries || []).forEach((g) => collectGeoJsonPoints(g, props, points));
+      break;
+    default:
+      break;
+  }
+}
+
+function parseGeoJson(input) {
+  let json = input;
+  if (typeof input === 'string') {
+    try {
+      json = JSON.parse(input);
+    } catch (e) {
+      return { name: null, points: [] };
+    }
+  }
+  if (!json || typeof json !== 'object') return { name: null, points: [] };
+
+  const features = json.type === 'FeatureCollection'
+    ? (json.features || [])
+    : json.type === 'Feature'
+      ? [json]
+      : [{ type: 'Feature', geometry: json, properties: {} }];
+
+  const points = [];
+  let name = null;
+  for (const feature of features) {
+    if (!feature) continue;
+    name = name || feature.properties?.purpose || feature.properties?.name || null;
+    collectGeoJsonPoints(feature.geometry, feature.properties, points);
+  }
+
+  return { name, points: sortPoints(points) };
+}
+
+function sortPoints(points) {
+  return points.sort((a, b) => a.timestamp - b.timestamp);
+}
+
+function detectFormat(data) {
+  if (data && typeof data === 'object') return 'geojson';
+  const text = String(data || '').trim();
+  if (text.startsWith('<')) return 'gpx';
+  if (text.startsWith('{')) return 'geojson';
+  return null;
+}
+
+// Returns { format, name, points } or null if the format is unknown
+function parseTrack(data, format) {
+  const key = format ? String(format).toLowerCase() : detectFormat(data);
+  if (key === 'gpx') return { format: key, ...parseGpx(data) };
+  if (key === 'geojson' || key === 'json') return { format: 'geojson', ...parseGeoJson(data) };
+  return null;
+}
+
+module.exports = { parseTrack, parseGpx, parseGeoJson };
@@ -0,0 +1,102 @@
+const { haversineDistance } = require('./geo');
+const { normalizeRoute, getFilterOptions, rejectReason } = require('./routeFilter');
+const { numberFromEnv } = require('./env');
+
+// Automatic trip detection over a continuous background location stream.
+// While idle, recent points are buffered; a trip opens once the buffer spans
+// more than `startMeters` within `startWindowMs` (sustained movement, not GPS drift).
+// While recording, the trip ends when the device stays within `stopMeters` of
+// its last movement point for `stopMs`, or sends nothing for that long.
+// Points held while stationary are only appended if movement resumes, so the
+// trip ends exactly where the vehicle stopped.
+
+const getDetectionOptions = () => ({
+  startMeters: numberFromEnv('AUTO_TRIP_START_METERS', 300),
+  startWindowMs: numberFromEnv('AUTO_TRIP_START_SECONDS', 180) * 1000,
+  stopMeters: numberFromEnv('AUTO_TRIP_STOP_METERS', 150),
+  stopMs: numberFromEnv('AUTO_TRIP_STOP_MINUTES', 5) * 60 * 1000,
+  // Fixes less accurate than the route filter accepts never start or extend movement
+  maxAccuracy: getFilterOptions().maxAccuracy
+});
+
+const metresBetween = (a, b) => haversineDistance(a, b) * 1000;
+
+// Drop the wait before departure: leading points the route filter calls stationary
+const fromDeparture = (points) => {
+  const filterOptions = getFilterOptions();
+  let from = 0;
+  while (from + 1 < points.length && rejectReason(points[from], points[from + 1], filterOptions) === 'stationary') {
+    from += 1;
+  }
+  return points.slice(from);
+};
+
+// Run new points through the segmenter.
+// state: { recording, anchor, buffer, lastTimestamp } (see TripDetectionState)
+// Returns { state, actions, ignored } where actions are, in order:
+//   { type: 'start', points }  open a trip with these points
+//   { type: 'append', points } add points to the open trip
+//   { type: 'end', timestamp } close the open trip at this time
+// Points at or before state.lastTimestamp were already processed and are ignored.
+function segmentPoints(state, points, options = getDetectionOptions()) {
+  let recording = Boolean(state?.recording);
+  let anchor = state?.anchor || null;
+  let buffer = [...(state?.buffer || [])];
+  let lastTimestamp = state?.lastTimestamp ?? null;
+  const actions = [];
+  let pending = [];
+  let ignored = 0;
+
+  const flush = () => {
+    if (pending.length) actions.push({ type: 'append', points: pending });
+    pending = [];
+  };
+
+  const accurate = (point) => !(Number(point.accuracy) > options.maxAccuracy);
+
+  const idle = (point) => {
+    if (!accurate(point)) return;
+    buffer.push(point);
+    buffer = buffer.filter((p) => point.timestamp - p.timestamp <= options.startWindowMs);
+    if (metresBetween(buffer[0], point) >= options.startMeters) {
+      actions.push({ type: 'start', points: fromDeparture(buffer) });
+      recording = true;
+      anchor = point;
+      buffer = [];
+    }
+  };
+
+  for (const point of normalizeRoute(points)) {
+    if (lastTimestamp !== null && point.timestamp <= lastTimestamp) {
+      ignored += 1;
+      continue;
+    }
+    lastTimestamp = point.timestamp;
+
+    if (!recording) {
+      idle(point);
+      continue;
+    }
+
+    if (point.timestamp - anchor.timestamp >= options.stopMs) {
+      // Stationary (or silent) long enough: end where movement was last seen
+      flush();
+      actions.push({ type: 'end', timestamp: anchor.timestamp });
+      recording = false;
+      anchor = null;
+      buffer = [];
+      idle(point);
+    } else if (accurate(point) && metresBetween(anchor, point) > options.stopMeters) {
+      pending.push(...buffer, point);
+      buffer = [];
+      anchor = point;
+    } else {
+      buffer.push(point);
+    }
+  }
+  flush();
+
+  return { state: { recording, anchor, buffer, lastTimestamp }, actions, ignored };
+}
+
+module.exports = { getDetectionOptions, segmentPoints };
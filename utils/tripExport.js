@@ -0,0 +1,183 @@
+// Serialize a trip's route into GPX, KML or GeoJSON track files
+
+const FORMATS = {
+  gpx: { contentType: 'application/gpx+xml', extension: 'gpx' },
+  kml: { contentType: 'application/vnd.google-earth.kml+xml', extension: 'kml' },
+  geojson: { contentType: 'application/geo+json', extension: 'geojson' }
+};
+
+function escapeXml(value) {
+  return String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function toIso(value) {
+  if (value == null) return null;
+  const d = value instanceof Date ? value : new Date(value);
+  return isNaN(d.getTime()) ? null : d.toISOString();
+}
+
+// Common metadata carried by every export format
+function tripMetadata(trip) {
+  return {
+    id: String(trip._id || trip.id || ''),
+    purpose: trip.purpose || '',
+    startLocation: trip.startLocation || null,
+    endLocation: trip.endLocation || null,
+    startTime: toIso(trip.startTime),
+    endTime: toIso(trip.endTime),
+    startOdometer: trip.startOdometer ?? null,
+    endOdometer: trip.endOdometer ?? null,
+    distance: trip.distance || 0,
+    duration: trip.duration || 0,
+    averageSpeed: trip.averageSpeed || 0,
+    status: trip.status
+  };
+}
+
+// Namespace for our GPX extension elements; schema-validating readers reject unqualified ones
+const GPX_EXTENSIONS_NS = 'https://tripmetrics.app/xmlns/gpx/1';
+
+function toGpx(trip) {
+  const meta = tripMetadata(trip);
+  const route = trip.route || [];
+  const description = [
+    meta.startLocation && `From: ${meta.startLocation}`,
+    meta.endLocation && `To: ${meta.endLocation}`,
+    `Distance: ${meta.distance.toFixed(3)} km`
+  ].filter(Boolean).join('; ');
+
+  const points = route.map((p) => {
+    const time = toIso(p.timestamp);
+    return [
+      `      <trkpt lat="${p.latitude}" lon="${p.longitude}">`,
+      time ? `        <time>${time}</time>` : null,
+      // GPX has no accuracy field (hdop is a unitless dilution, not metres), so it goes in extensions
+      `        <extensions><tmp:accuracy>${p.accuracy}</tmp:accuracy></extensions>`,
+      '      </trkpt>'
+    ].filter(Boolean).join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<gpx version="1.1" creator="Trip Metrics Pro" xmlns="http://www.topografix.com/GPX/1/1" xmlns:tmp="${GPX_EXTENSIONS_NS}">`,
+    '  <metadata>',
+    `    <name>${escapeXml(meta.purpose)}</name>`,
+    `    <desc>${escapeXml(description)}</desc>`,
+    meta.startTime ? `    <time>${meta.startTime}</time>` : null,
+    '  </metadata>',
+    '  <trk>',
+    `    <name>${escapeXml(meta.purpose)}</name>`,
+    `    <desc>${escapeXml(description)}</desc>`,
+    '    <extensions>',
+    meta.startLocation ? `      <tmp:startLocation>${escapeXml(meta.startLocation)}</tmp:startLocation>` : null,
+    meta.endLocation ? `      <tmp:endLocation>${escapeXml(meta.endLocation)}</tmp:endLocation>` : null,
+    meta.startTime ? `      <tmp:startTime>${meta.startTime}</tmp:startTime>` : null,
+    meta.endTime ? `      <tmp:endTime>${meta.endTime}</tmp:endTime>` : null,
+    meta.startOdometer != null ? `      <tmp:startOdometer>${meta.startOdometer}</tmp:startOdometer>` : null,
+    meta.endOdometer != null ? `      <tmp:endOdometer>${meta.endOdometer}</tmp:endOdometer>` : null,
+    `      <tmp:distance>${meta.distance}</tmp:distance>`,
+    '    </extensions>',
+    '    <trkseg>',
+    ...points,
+    '    </trkseg>',
+    '  </trk>',
+    '</gpx>',
+    ''
+  ].filter((line) => line !== null).join('\n');
+}
+
+function toKml(trip) {
+  const meta = tripMetadata(trip);
+  const route = trip.route || [];
+
+  const data = [
+    ['purpose', meta.purpose],
+    ['startLocation', meta.startLocation],
+    ['endLocation', meta.endLocation],
+    ['startTime', meta.startTime],
+    ['endTime', meta.endTime],
+    ['startOdometer', meta.startOdometer],
+    ['endOdometer', meta.endOdometer],
+    ['distance', meta.distance]
+  ].filter(([, value]) => value != null)
+    .map(([name, value]) => `        <Data name="${name}"><value>${escapeXml(value)}</value></Data>`);
+
+  // gx:Track keeps per-point timestamps; accuracy goes in a parallel SimpleArrayData
+  const whens = route.map((p) => `          <when>${toIso(p.timestamp) || ''}</when>`);
+  const coords = route.map((p) => `          <gx:coord>${p.longitude} ${p.latitude} 0</gx:coord>`);
+  const accuracies = route.map((p) => `              <gx:value>${p.accuracy}</gx:value>`);
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">',
+    '  <Document>',
+    `    <name>${escapeXml(meta.purpose)}</name>`,
+    '    <Schema id="pointSchema">',
+    '      <gx:SimpleArrayField name="accuracy" type="float"><displayName>Accuracy (m)</displayName></gx:SimpleArrayField>',
+    '    </Schema>',
+    '    <Placemark>',
+    `      <name>${escapeXml(meta.purpose)}</name>`,
+    meta.startTime ? `      <TimeSpan><begin>${meta.startTime}</begin>${meta.endTime ? `<end>${meta.endTime}</end>` : ''}</TimeSpan>` : null,
+    '      <ExtendedData>',
+    ...data,
+    '      </ExtendedData>',
+    '      <gx:Track>',
+    ...whens,
+    ...coords,
+    '        <ExtendedData>',
+    '          <SchemaData schemaUrl="#pointSchema">',
+    '            <gx:SimpleArrayData name="accuracy">',
+    ...accuracies,
+    '            </gx:SimpleArrayData>',
+    '          </SchemaData>',
+    '        </ExtendedData>',
+    '      </gx:Track>',
+    '    </Placemark>',
+    '  </Document>',
+    '</kml>',
+    ''
+  ].filter((line) => line !== null).join('\n');
+}
+
+function toGeoJson(trip) {
+  const meta = tripMetadata(trip);
+  const route = trip.route || [];
+
+  const feature = {
+    type: 'Feature',
+    geometry: {
+      type: 'LineString',
+      coordinates: route.map((p) => [p.longitude, p.latitude])
+    },
+    properties: {
+      ...meta,
+      // Parallel arrays aligned with coordinates, as used by common GPS tooling
+      coordTimes: route.map((p) => toIso(p.timestamp)),
+      accuracies: route.map((p) => p.accuracy)
+    }
+  };
+
+  return JSON.stringify({ type: 'FeatureCollection', features: [feature] }, null, 2);
+}
+
+const serializers = { gpx: toGpx, kml: toKml, geojson: toGeoJson };
+
+// Returns { body, contentType, filename } or null if the format is unknown
+function exportTrip(trip, format) {
+  const key = String(format || '').toLowerCase();
+  const serialize = serializers[key];
+  if (!serialize) return null;
+
+  const { contentType, extension } = FORMATS[key];
+  const startDate = toIso(trip.startTime);
+  const filename = `trip-${startDate ? startDate.slice(0, 10) : 'export'}-${trip._id || trip.id}.${extension}`;
+
+  return { body: serialize(trip), contentType, filename };
+}
+
+module.exports = { exportTrip, toGpx, toKml, toGeoJson, SUPPORTED_FORMATS: Object.keys(FORMATS) };
@@ -0,0 +1,101 @@
+const UserData = require('../models/UserData');
+const Vehicle = require('../models/Vehicle');
+const { nameLocation } = require('./places');
+const { odometerAfter } = require('./units');
+const { notifyTripUpdate } = require('./liveTrips');
+
+// Odometer and completion steps shared by the trip routes and background jobs
+
+// Move a vehicle's odometer forward ($max, never backwards). The default vehicle is
+// mirrored into UserData.currentOdometer for clients that read the per-user value.
+const advanceOdometer = async (userId, vehicleId, reading) => {
+  const target = vehicleId || (await Vehicle.findOrCreateDefault(userId))._id;
+  const vehicle = await Vehicle.advanceOdometer(target, reading);
+  if (vehicle?.isDefault) {
+    await UserData.findOneAndUpdate(
+      { userId },
+      {
+        $max: { currentOdometer: vehicle.currentOdometer },
+        $set: { updatedAt: new Date() }
+      },
+      { upsert: true }
+    );
+  }
+  return vehicle;
+};
+
+// Odometers advance by whole units of the user's distance unit; callers that
+// already loaded the preferences pass `units` to save the lookup
+const unitsFor = async (userId, units) => units || (await UserData.getPreferences(userId)).units;
+
+// Keep a live estimated odometer (startOdometer + rounded distance so far)
+const updateLiveOdometer = async (userId, trip, units) => {
+  const reading = odometerAfter(trip.startOdometer, trip.distance, await unitsFor(userId, units));
+  return advanceOdometer(userId, trip.vehicleId, reading);
+};
+
+const MAX_FINISH_ATTEMPTS = 5;
+
+// Complete an active trip (endTrip, automatic detection and the stale trip watchdog).
+// The completion is written with a conditional update on the lastTimestamp the track was
+// rebuilt from, so points uploaded meanwhile are never dropped: the trip is reloaded and
+// finished again, up to `attempts` times. Resolves to the completed trip, or null when it
+// is no longer active (or kept changing).
+const finishTrip = async (userId, trip, { endTime = new Date(), endLocation, units, attempts = MAX_FINISH_ATTEMPTS } = {}) => {
+  const Trip = trip.constructor;
+  const distanceUnits = await unitsFor(userId, units);
+
+  for (let attempt = 1; ; attempt++) {
+    const expectedTimestamp = trip.lastTimestamp ?? null;
+
+    // Final pass over the full stored track: exact distance, duration and simplified preview
+    trip.endTime = endTime;
+    await trip.rebuildRoute();
+
+    // Compute final odometer using the integer distance rule
+    trip.endOdometer = Math.max(odometerAfter(trip.startOdometer, trip.distance, distanceUnits), trip.startOdometer);
+    trip.status = 'completed';
+    if (endLocation) {
+      trip.endLocation = endLocation;
+    } else {
+      // Name the last route point after a saved place, or reverse geocode it
+      const lastPoint = trip.route && trip.route.length > 0 ? trip.route[trip.route.length - 1] : null;
+      const end = await nameLocation(userId, lastPoint);
+      if (end.name) trip.endLocation = end.name;
+      trip.endPlaceId = end.placeId;
+    }
+
+    const completed = await Trip.findOneAndUpdate(
+      { _id: trip._id, status: 'active', lastTimestamp: expectedTimestamp },
+      trip.getChanges(),
+      { new: true }
+    );
+    if (completed) {
+      trip = completed;
+      break;
+    }
+
+    // Points arrived (or the trip was ended elsewhere) since it was loaded
+    if (attempt >= attempts) return null;
+    trip = await Trip.findOne({ _id: trip._id, status: 'active' });
+    if (!trip) return null;
+  }
+
+  // Update the vehicle's odometer and clear active trip.
+  // Live updates already advanced it towards the end reading, so settle on it rather than adding again.
+  try {
+    await UserData.findOneAndUpdate(
+      { userId },
+      { $set: { activeTrip: null, updatedAt: new Date() } },
+      { new: true, upsert: true }
+    );
+    await advanceOdometer(userId, trip.vehicleId, trip.endOdometer);
+  } catch (e) {
+    console.warn('Failed to update vehicle odometer:', e?.message || e);
+  }
+  // Live streams send the final state and close
+  notifyTripUpdate(userId);
+  return trip;
+};
+
+module.exports = { advanceOdometer, updateLiveOdometer, finishTrip };
@@ -0,0 +1,80 @@
+const { haversineDistance } = require('./geo');
+const { simplifyRoute } = require('./routeSimplify');
+const { formatParts } = require('./logbook');
+const { convertTrip } = require('./units');
+
+// Point `meters` along the segment a-b (linear interpolation; segments are short)
+function pointAlong(a, b, meters, segmentMeters) {
+  const t = segmentMeters > 0 ? meters / segmentMeters : 0;
+  return {
+    latitude: a.latitude + (b.latitude - a.latitude) * t,
+    longitude: a.longitude + (b.longitude - a.longitude) * t,
+    timestamp: Math.round(Number(a.timestamp) + (Number(b.timestamp) - Number(a.timestamp)) * t)
+  };
+}
+
+// Cut `meters` of track (measured along the route) off both ends, so a shared map
+// does not lead back to the owner's door. Routes shorter than twice that vanish entirely.
+function trimRoute(points, meters) {
+  const route = points || [];
+  if (!(meters > 0) || route.length < 2) return route.slice();
+
+  const cumulative = [0];
+  for (let i = 1; i < route.length; i++) {
+    cumulative.push(cumulative[i - 1] + haversineDistance(route[i - 1], route[i]) * 1000);
+  }
+  const total = cumulative[cumulative.length - 1];
+  const from = meters;
+  const to = total - meters;
+  if (to <= from) return [];
+
+  const trimmed = [];
+  for (let i = 1; i < route.length; i++) {
+    const segStart = cumulative[i - 1];
+    const segEnd = cumulative[i];
+    const segment = segEnd - segStart;
+    if (segStart <= from && segEnd > from) trimmed.push(pointAlong(route[i - 1], route[i], from - segStart, segment));
+    if (segEnd > from && segEnd < to) trimmed.push(route[i]);
+    if (segStart < to && segEnd >= to) trimmed.push(pointAlong(route[i - 1], route[i], to - segStart, segment));
+  }
+  return trimmed;
+}
+
+// Read-only view of a trip for a share link, in the owner's units and time zone.
+// Trimmed links also drop the place names, which would give the endpoints away.
+function buildSharedView(trip, share, { units, timezone }) {
+  const stats = convertTrip({
+    distance: trip.distance || 0,
+    duration: trip.duration || 0,
+    averageSpeed: trip.averageSpeed || 0
+  }, units);
+
+  const route = trimRoute(simplifyRoute(trip.route || []), share.trimMeters)
+    .map((p) => (share.hideTimestamps
+      ? { latitude: p.latitude, longitude: p.longitude }
+      : { latitude: p.latitude, longitude: p.longitude, timestamp: p.timestamp }));
+
+  const view = {
+    purpose: trip.purpose,
+    category: trip.category || null,
+    ...stats,
+    date: formatParts(trip.startTime, timezone).date,
+    route,
+    trimMeters: share.trimMeters,
+    hideTimestamps: share.hideTimestamps,
+    expiresAt: share.expiresAt
+  };
+
+  if (!share.hideTimestamps) {
+    view.startTime = trip.startTime;
+    view.endTime = trip.endTime;
+    view.timezone = timezone;
+  }
+  if (!share.trimMeters) {
+    view.startLocation = trip.startLocation || null;
+    view.endLocation = trip.endLocation || null;
+  }
+  return view;
+}
+
+module.exports = { trimRoute, buildSharedView };
@@ -0,0 +1,36 @@
+const { fromKm } = require('./units');
+
+// Aggregation pieces shared by personal and organization trip statistics
+
+// Summary fields shared by the overall totals and each bucket
+const statsAccumulators = {
+  count: { $sum: 1 },
+  totalDistance: { $sum: '$distance' },
+  avgDistance: { $avg: '$distance' },
+  totalDuration: { $sum: '$duration' },
+  avgDuration: { $avg: '$duration' },
+  avgSpeed: { $avg: '$averageSpeed' },
+  maxSpeed: { $max: '$averageSpeed' },
+  firstTrip: { $min: '$startTime' },
+  lastTrip: { $max: '$startTime' }
+};
+
+const EMPTY_STATS_SUMMARY = {
+  count: 0, totalDistance: 0, avgDistance: 0, totalDuration: 0, avgDuration: 0,
+  avgSpeed: 0, maxSpeed: 0, firstTrip: null, lastTrip: null
+};
+
+const STATS_DISTANCE_FIELDS = ['totalDistance', 'avgDistance', 'avgSpeed', 'maxSpeed', 'overallSpeed'];
+
+// Distance-weighted speed over all trips, next to the mean of per-trip speeds.
+// Distances and speeds come back in the given units (km and km/h by default).
+const withOverallSpeed = (row, units) => {
+  const { _id, ...stats } = row;
+  stats.overallSpeed = stats.totalDuration > 0 ? (stats.totalDistance / stats.totalDuration) * 3.6 : 0;
+  STATS_DISTANCE_FIELDS.forEach((field) => {
+    if (typeof stats[field] === 'number') stats[field] = fromKm(stats[field], units);
+  });
+  return stats;
+};
+
+module.exports = { statsAccumulators, withOverallSpeed, EMPTY_STATS_SUMMARY };
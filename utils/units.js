@@ -0,0 +1,93 @@
+// Distance unit conversion for API responses. Everything is stored in kilometres
+// (and km/h); users who prefer imperial units see miles (and mph).
+
+const KM_PER_MILE = 1.609344;
+const UNIT_SYSTEMS = ['metric', 'imperial'];
+
+const kmPerUnit = (units) => (units === 'imperial' ? KM_PER_MILE : 1);
+
+const unitLabels = (units) => (units === 'imperial'
+  ? { distance: 'mi', speed: 'mph' }
+  : { distance: 'km', speed: 'km/h' });
+
+// Kilometres (or km/h) to the user's unit
+const fromKm = (value, units) => (value == null ? value : value / kmPerUnit(units));
+
+// The user's unit to kilometres, for odometer readings sent by the client
+const toKm = (value, units) => (value == null ? value : value * kmPerUnit(units));
+
+// Integer distance rule for odometers: round up only if fractional part > 0.5
+const roundDistance = (d) => {
+  const base = Math.floor(Number(d) || 0);
+  const frac = (Number(d) || 0) - base;
+  return base + (frac > 0.5 ? 1 : 0);
+};
+
+// Odometer reading in the user's unit. Readings are stored in km, so a mile reading
+// comes back with float noise (12345.000000001); trim it off.
+const odometerFromKm = (value, units) => (value == null ? value : Math.round(fromKm(value, units) * 1000) / 1000);
+
+// End odometer (km) for a trip of `distance` km from `startOdometer` km, applying the
+// integer distance rule in the user's unit so imperial odometers advance by whole miles
+const odometerAfter = (startOdometer, distance, units) => toKm(
+  fromKm(startOdometer, units) + roundDistance(fromKm(distance || 0, units)),
+  units
+);
+
+const TRIP_DISTANCE_FIELDS = ['distance', 'rawDistance'];
+const TRIP_ODOMETER_FIELDS = ['startOdometer', 'endOdometer', 'odometerDistance'];
+const TRIP_SPEED_FIELDS = ['averageSpeed'];
+const VEHICLE_ODOMETER_FIELDS = ['initialOdometer', 'currentOdometer'];
+const EXPENSE_ODOMETER_FIELDS = ['odometer'];
+
+// Convert the listed odometer fields of a plain object in place
+const convertOdometers = (data, fields, units) => {
+  if (units === 'imperial') {
+    fields.forEach((field) => {
+      if (typeof data[field] === 'number') data[field] = odometerFromKm(data[field], units);
+    });
+  }
+  return data;
+};
+
+// Serialize a trip (document or plain object) with distances in the user's units
+const convertTrip = (trip, units) => {
+  const data = trip && typeof trip.toJSON === 'function' ? trip.toJSON() : { ...trip };
+  if (units === 'imperial') {
+    [...TRIP_DISTANCE_FIELDS, ...TRIP_SPEED_FIELDS].forEach((field) => {
+      if (typeof data[field] === 'number') data[field] = fromKm(data[field], units);
+    });
+    convertOdometers(data, TRIP_ODOMETER_FIELDS, units);
+  }
+  data.units = unitLabels(units);
+  return data;
+};
+
+// Serialize a vehicle (document or plain object) with odometers in the user's units
+const convertVehicle = (vehicle, units) => {
+  const data = vehicle && typeof vehicle.toJSON === 'function' ? vehicle.toJSON() : { ...vehicle };
+  convertOdometers(data, VEHICLE_ODOMETER_FIELDS, units);
+  data.units = unitLabels(units);
+  return data;
+};
+
+// Serialize an expense (document or plain object) with its odometer reading in the user's units
+const convertExpense = (expense, units) => {
+  const data = expense && typeof expense.toJSON === 'function' ? expense.toJSON() : { ...expense };
+  return convertOdometers(data, EXPENSE_ODOMETER_FIELDS, units);
+};
+
+module.exports = {
+  KM_PER_MILE,
+  UNIT_SYSTEMS,
+  kmPerUnit,
+  unitLabels,
+  fromKm,
+  toKm,
+  roundDistance,
+  odometerFromKm,
+  odometerAfter,
+  convertTrip,
+  convertVehicle,
+  convertExpense
+};